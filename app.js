@@ -5,15 +5,19 @@ const swaggerUi = require("swagger-ui-express");
 require("dotenv").config();
 
 const errorHandler = require("./middleware/errorHandler");
+const requestId = require("./middleware/requestId");
 const { checkDBConnection } = require("./config/db");
+const { localDir, storageDriverName } = require("./utils/storage");
 
 // Import routes
 const authRoutes = require("./routes/authRoutes");
 const productRoutes = require("./routes/productRoutes");
+const categoryRoutes = require("./routes/categoryRoutes");
 const cartRoutes = require("./routes/cartRoutes");
 const orderRoutes = require("./routes/orderRoutes");
 const adminRoutes = require("./routes/adminRoutes");
 const couponRoutes = require("./routes/couponRoutes");
+const addressRoutes = require("./routes/addressRoutes");
 
 const app = express();
 
@@ -43,6 +47,11 @@ const swaggerOptions = {
           scheme: "bearer",
           bearerFormat: "JWT",
         },
+        apiKeyAuth: {
+          type: "apiKey",
+          in: "header",
+          name: "X-API-Key",
+        },
       },
     },
     security: [
@@ -57,10 +66,16 @@ const swaggerOptions = {
 const swaggerSpec = swaggerJsdoc(swaggerOptions);
 
 // Middleware
-app.use(cors());
+app.use(requestId);
+app.use(cors({ exposedHeaders: ["X-Request-Id", "X-Impersonated-By"] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Uploaded images stored on the local disk
+if (storageDriverName() === "local") {
+  app.use("/uploads", express.static(localDir(), { maxAge: "30d", immutable: true }));
+}
+
 // Database connection check middleware (applies to all API routes)
 app.use("/api", checkDBConnection);
 
@@ -85,9 +100,11 @@ app.get("/", (req, res) => {
 // API Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/products", productRoutes);
+app.use("/api/categories", categoryRoutes);
 app.use("/api/cart", cartRoutes);
 app.use("/api/orders", orderRoutes);
 app.use("/api/coupons", couponRoutes);
+app.use("/api/addresses", addressRoutes);
 app.use("/api/admin", adminRoutes);
 
 // Error handler middleware (must be last)
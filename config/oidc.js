@@ -0,0 +1,64 @@
+// OpenID Connect login providers, configured from the environment.
+//
+//   OIDC_PROVIDERS=google,mock
+//   OIDC_GOOGLE_ISSUER=https://accounts.google.com
+//   OIDC_GOOGLE_CLIENT_ID=...
+//   OIDC_GOOGLE_CLIENT_SECRET=...          (optional for public clients)
+//   OIDC_GOOGLE_SCOPE=openid email profile  (optional)
+//   OIDC_GOOGLE_REDIRECT_URI=...            (optional, defaults to the frontend callback page)
+//   OIDC_GOOGLE_LABEL=Google                (optional, shown on the login button)
+//
+// Any issuer that publishes /.well-known/openid-configuration works,
+// including a local mock provider such as http://localhost:9400.
+const envName = (provider, key) => `OIDC_${provider.toUpperCase()}_${key}`;
+
+const loadProvider = (name) => {
+  const issuer = process.env[envName(name, "ISSUER")];
+  const clientId = process.env[envName(name, "CLIENT_ID")];
+
+  if (!issuer || !clientId) {
+    console.warn(`OIDC provider "${name}" is missing an issuer or client id and is disabled`);
+    return null;
+  }
+
+  return {
+    name,
+    label: process.env[envName(name, "LABEL")] || name.charAt(0).toUpperCase() + name.slice(1),
+    issuer: issuer.replace(/\/$/, ""),
+    clientId,
+    clientSecret: process.env[envName(name, "CLIENT_SECRET")] || null,
+    scope: process.env[envName(name, "SCOPE")] || "openid email profile",
+    redirectUri:
+      process.env[envName(name, "REDIRECT_URI")] ||
+      `${process.env.FRONTEND_URL || "http://localhost:3001"}/auth/oidc/${name}/callback`,
+  };
+};
+
+let providers = null;
+
+// Configured providers by name, read once from the environment
+const getProviders = () => {
+  if (!providers) {
+    providers = {};
+    (process.env.OIDC_PROVIDERS || "")
+      .split(",")
+      .map((name) => name.trim().toLowerCase())
+      .filter((name) => /^[a-z0-9_]+$/.test(name))
+      .forEach((name) => {
+        const provider = loadProvider(name);
+        if (provider) {
+          providers[name] = provider;
+        }
+      });
+  }
+  return providers;
+};
+
+const getProvider = (name) => {
+  return getProviders()[name] || null;
+};
+
+module.exports = {
+  getProviders,
+  getProvider,
+};
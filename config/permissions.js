@@ -0,0 +1,62 @@
+// Every permission string checked by requirePermission()
+const PERMISSIONS = [
+  "products:read",
+  "products:write",
+  "orders:read",
+  "orders:update_status",
+  "coupons:read",
+  "coupons:write",
+  "reviews:moderate",
+  "users:read",
+  "users:manage",
+  "users:impersonate",
+  "roles:manage",
+  "api_keys:manage",
+  "stats:read",
+  "audit:read",
+];
+
+// Grants every permission, including ones added later
+const ALL_PERMISSIONS = "*";
+
+// Roles that always exist and cannot be edited. Custom roles live in the Role collection.
+const BUILT_IN_ROLES = {
+  owner: {
+    description: "Full access to everything",
+    permissions: [ALL_PERMISSIONS],
+  },
+  admin: {
+    description: "Full access to everything",
+    permissions: [ALL_PERMISSIONS],
+  },
+  catalog_manager: {
+    description: "Manages products and the catalogue",
+    permissions: ["products:read", "products:write", "reviews:moderate", "stats:read"],
+  },
+  packer: {
+    description: "Packs orders and moves them through fulfilment",
+    permissions: ["orders:read", "orders:update_status"],
+  },
+  delivery: {
+    description: "Delivers orders and marks them delivered",
+    permissions: ["orders:read", "orders:update_status"],
+  },
+  support: {
+    description: "Helps customers with their orders and accounts",
+    permissions: ["orders:read", "users:read", "coupons:read", "reviews:moderate"],
+  },
+  user: {
+    description: "Customer",
+    permissions: [],
+  },
+};
+
+// Role given to customers
+const CUSTOMER_ROLE = "user";
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  BUILT_IN_ROLES,
+  CUSTOMER_ROLE,
+};
@@ -1,5 +1,5 @@
-const jwt = require("jsonwebtoken");
-const User = require("../models/User");
+const { verifyAccessToken } = require("../utils/tokenService");
+const { getRolePermissions, grants } = require("../utils/permissions");
 
 // Socket authentication middleware
 const authenticateSocket = async (socket, next) => {
@@ -11,31 +11,31 @@ const authenticateSocket = async (socket, next) => {
       return next(new Error("Authentication error: No token provided"));
     }
 
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verify token and make sure its session has not been revoked
+    const auth = await verifyAccessToken(token);
 
-      // Get user from token
-      const user = await User.findById(decoded.id).select("-password");
-
-      if (!user) {
-        return next(new Error("Authentication error: User not found"));
-      }
-
-      // Attach user to socket
-      socket.user = user;
-      next();
-    } catch (error) {
+    if (!auth) {
       return next(new Error("Authentication error: Invalid token"));
     }
+
+    // Impersonation is limited to audited, read-only REST requests
+    if (auth.impersonator) {
+      return next(new Error("Authentication error: Impersonation tokens cannot open sockets"));
+    }
+
+    // Attach user and session to socket
+    socket.user = auth.user;
+    socket.sessionId = auth.session._id.toString();
+    socket.permissions = await getRolePermissions(auth.user.role);
+    next();
   } catch (error) {
     next(new Error("Authentication error: " + error.message));
   }
 };
 
-// Check if user is admin
+// Check if user is staff allowed to see orders (joins the admin room)
 const isAdmin = (socket) => {
-  return socket.user && socket.user.role === "admin";
+  return !!socket.permissions && grants(socket.permissions, "orders:read");
 };
 
 module.exports = {
@@ -0,0 +1,182 @@
+const User = require("../models/User");
+const { validationResult } = require("express-validator");
+
+const MAX_ADDRESSES = 10;
+const ADDRESS_FIELDS = ["label", "name", "phone", "street", "city", "state", "zipCode", "country"];
+
+// Make the given address the only default one
+const setDefault = (user, addressId) => {
+  user.addresses.forEach((address) => {
+    address.isDefault = address._id.toString() === addressId.toString();
+  });
+};
+
+// @desc    Get saved addresses
+// @route   GET /api/addresses
+// @access  Private
+exports.getAddresses = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    res.json({
+      success: true,
+      count: user.addresses.length,
+      addresses: user.addresses,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add address
+// @route   POST /api/addresses
+// @access  Private
+exports.addAddress = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (user.addresses.length >= MAX_ADDRESSES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_ADDRESSES} addresses`,
+      });
+    }
+
+    const addressData = {};
+    ADDRESS_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) addressData[field] = req.body[field];
+    });
+
+    user.addresses.push(addressData);
+    const address = user.addresses[user.addresses.length - 1];
+
+    // The first address is always the default
+    if (req.body.isDefault || user.addresses.length === 1) {
+      setDefault(user, address._id);
+    }
+
+    await user.save({ validateModifiedOnly: true });
+
+    res.status(201).json({
+      success: true,
+      address,
+      addresses: user.addresses,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update address
+// @route   PUT /api/addresses/:addressId
+// @access  Private
+exports.updateAddress = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const address = user.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: "Address not found",
+      });
+    }
+
+    ADDRESS_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) address[field] = req.body[field];
+    });
+
+    if (req.body.isDefault) {
+      setDefault(user, address._id);
+    }
+
+    await user.save({ validateModifiedOnly: true });
+
+    res.json({
+      success: true,
+      address,
+      addresses: user.addresses,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete address
+// @route   DELETE /api/addresses/:addressId
+// @access  Private
+exports.deleteAddress = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const address = user.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: "Address not found",
+      });
+    }
+
+    const wasDefault = address.isDefault;
+    address.deleteOne();
+
+    // Keep a default while any address is left
+    if (wasDefault && user.addresses.length > 0) {
+      setDefault(user, user.addresses[0]._id);
+    }
+
+    await user.save({ validateModifiedOnly: true });
+
+    res.json({
+      success: true,
+      message: "Address deleted successfully",
+      addresses: user.addresses,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Set default address
+// @route   PUT /api/addresses/:addressId/default
+// @access  Private
+exports.setDefaultAddress = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const address = user.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: "Address not found",
+      });
+    }
+
+    setDefault(user, address._id);
+    await user.save({ validateModifiedOnly: true });
+
+    res.json({
+      success: true,
+      message: "Default address updated successfully",
+      addresses: user.addresses,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
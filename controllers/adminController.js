@@ -1,6 +1,11 @@
 const User = require("../models/User");
 const Product = require("../models/Product");
 const Order = require("../models/Order");
+const Cart = require("../models/Cart");
+const { recordAudit } = require("../utils/audit");
+const { getRolePermissions, grants, isStaff } = require("../utils/permissions");
+const { revokeAllSessions, generateImpersonationToken } = require("../utils/tokenService");
+const { validationResult } = require("express-validator");
 
 // @desc    Get all products (Admin)
 // @route   GET /api/admin/products
@@ -11,6 +16,7 @@ exports.getAllProducts = async (req, res, next) => {
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const products = await Product.find()
+      .populate("category", "name slug")
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
@@ -113,21 +119,47 @@ exports.getAllOrders = async (req, res, next) => {
   }
 };
 
-// @desc    Get all users (Admin)
+// @desc    Get all users, with search and filters (Admin)
 // @route   GET /api/admin/users
 // @access  Private/Admin
 exports.getAllUsers = async (req, res, next) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { search, role, blocked, locked, page = 1, limit = 10 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const users = await User.find()
+    const query = {};
+    if (search) {
+      // Escape regex characters so the search is a plain substring match
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+      query.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+    }
+    if (role) {
+      query.role = role.toLowerCase();
+    }
+    if (blocked === "true") {
+      query.blockedAt = { $ne: null };
+    } else if (blocked === "false") {
+      query.blockedAt = null;
+    }
+    if (locked === "true") {
+      query.lockUntil = { $gt: new Date() };
+    }
+
+    const users = await User.find(query)
       .select("-password")
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
 
-    const total = await User.countDocuments();
+    const total = await User.countDocuments(query);
 
     res.json({
       success: true,
@@ -142,6 +174,314 @@ exports.getAllUsers = async (req, res, next) => {
   }
 };
 
+// @desc    Get a user with their orders, spend and cart (Admin)
+// @route   GET /api/admin/users/:id
+// @access  Private/Admin
+exports.getUserDetails = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.params.id).select("-password");
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const orders = await Order.find({ user: user._id })
+      .populate("items.product", "name images")
+      .sort({ createdAt: -1 })
+      .limit(20); // Latest 20 orders
+
+    const orderStats = await Order.aggregate([
+      { $match: { user: user._id } },
+      {
+        $group: {
+          _id: null,
+          orderCount: { $sum: 1 },
+          // Cancelled orders are not counted as spend
+          totalSpent: {
+            $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 0, "$totalAmount"] },
+          },
+          paidAmount: {
+            $sum: { $cond: [{ $eq: ["$paymentStatus", "paid"] }, "$totalAmount", 0] },
+          },
+          lastOrderAt: { $max: "$createdAt" },
+        },
+      },
+    ]);
+
+    const stats = orderStats[0] || { orderCount: 0, totalSpent: 0, paidAmount: 0, lastOrderAt: null };
+    delete stats._id;
+
+    const cart = await Cart.findOne({ user: user._id });
+    const cartTotal = cart ? await cart.calculateTotal() : 0;
+
+    res.json({
+      success: true,
+      user,
+      stats,
+      orders,
+      cart: {
+        items: cart ? cart.items : [],
+        total: cartTotal,
+        itemCount: cart ? cart.items.length : 0,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Block a user - ends their sessions and rejects their tokens (Admin)
+// @route   PUT /api/admin/users/:id/block
+// @access  Private/Admin
+exports.blockUser = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot block yourself",
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // Staff can only block accounts that have no more access than they do
+    const targetPermissions = await getRolePermissions(user.role);
+    if (!targetPermissions.every((permission) => grants(req.permissions, permission))) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot block a user with permissions you do not have",
+      });
+    }
+
+    if (user.blockedAt) {
+      return res.status(400).json({
+        success: false,
+        message: "User is already blocked",
+      });
+    }
+
+    const before = { blockedAt: null, blockReason: null };
+
+    user.blockedAt = new Date();
+    user.blockReason = req.body.reason || null;
+    await user.save({ validateBeforeSave: false });
+
+    // Also disconnects their sockets
+    await revokeAllSessions(user._id);
+
+    await recordAudit(req, {
+      action: "user.block",
+      entityType: "User",
+      entityId: user._id,
+      before,
+      after: { blockedAt: user.blockedAt, blockReason: user.blockReason },
+    });
+
+    res.json({
+      success: true,
+      message: "User blocked successfully",
+      user,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unblock a user (Admin)
+// @route   PUT /api/admin/users/:id/unblock
+// @access  Private/Admin
+exports.unblockUser = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (!user.blockedAt) {
+      return res.status(400).json({
+        success: false,
+        message: "User is not blocked",
+      });
+    }
+
+    const previous = { blockedAt: user.blockedAt, blockReason: user.blockReason };
+
+    user.blockedAt = null;
+    user.blockReason = null;
+    await user.save({ validateBeforeSave: false });
+
+    await recordAudit(req, {
+      action: "user.unblock",
+      entityType: "User",
+      entityId: user._id,
+      before: previous,
+      after: { blockedAt: null, blockReason: null },
+    });
+
+    res.json({
+      success: true,
+      message: "User unblocked successfully",
+      user,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a short-lived, read-only token to see the shop as a customer (Admin)
+// @route   POST /api/admin/users/:id/impersonate
+// @access  Private/Admin
+exports.impersonateUser = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user || user.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (isStaff(user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Staff accounts cannot be impersonated",
+      });
+    }
+
+    if (user.blockedAt) {
+      return res.status(400).json({
+        success: false,
+        message: "Blocked users cannot be impersonated",
+      });
+    }
+
+    const { token, expiresAt } = generateImpersonationToken(
+      user._id,
+      req.user._id,
+      req.authSession._id
+    );
+
+    await recordAudit(req, {
+      action: "user.impersonate",
+      entityType: "User",
+      entityId: user._id,
+      metadata: { reason: req.body.reason, expiresAt },
+    });
+
+    res.json({
+      success: true,
+      impersonation: true,
+      readOnly: true,
+      token,
+      expiresAt,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unlock a user locked out by failed logins (Admin)
+// @route   PUT /api/admin/users/:id/unlock
+// @access  Private/Admin
+exports.unlockUser = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const previous = {
+      failedLoginAttempts: user.failedLoginAttempts,
+      lockUntil: user.lockUntil,
+    };
+
+    user.failedLoginAttempts = 0;
+    user.lastFailedLoginAt = null;
+    user.lockUntil = null;
+    await user.save({ validateBeforeSave: false });
+
+    await recordAudit(req, {
+      action: "user.unlock",
+      entityType: "User",
+      entityId: user._id,
+      before: previous,
+      after: { failedLoginAttempts: 0, lockUntil: null },
+    });
+
+    res.json({
+      success: true,
+      message: "User unlocked successfully",
+      user,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get dashboard stats (Admin)
 // @route   GET /api/admin/stats
 // @access  Private/Admin
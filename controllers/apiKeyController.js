@@ -0,0 +1,129 @@
+const ApiKey = require("../models/ApiKey");
+const { generateApiKey } = require("../utils/apiKeyService");
+const { grants } = require("../utils/permissions");
+const { recordAudit } = require("../utils/audit");
+const { validationResult } = require("express-validator");
+
+// @desc    Get all API keys
+// @route   GET /api/admin/api-keys
+// @access  Private/api_keys:manage
+exports.getApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.find()
+      .populate("createdBy", "name email")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: apiKeys.length,
+      apiKeys,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create API key - the key is only returned in this response
+// @route   POST /api/admin/api-keys
+// @access  Private/api_keys:manage
+exports.createApiKey = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { name, permissions, expiresAt } = req.body;
+
+    // Staff cannot hand out permissions they do not hold themselves
+    if (!permissions.every((permission) => grants(req.permissions, permission))) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot create an API key with permissions you do not have",
+      });
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+
+    const apiKey = await ApiKey.create({
+      name,
+      prefix,
+      keyHash,
+      permissions,
+      expiresAt,
+      createdBy: req.user._id,
+    });
+
+    await recordAudit(req, {
+      action: "api_key.create",
+      entityType: "ApiKey",
+      entityId: apiKey._id,
+      after: { name: apiKey.name, prefix: apiKey.prefix, permissions: apiKey.permissions, expiresAt: apiKey.expiresAt },
+    });
+
+    const apiKeyData = apiKey.toJSON();
+    delete apiKeyData.keyHash;
+
+    res.status(201).json({
+      success: true,
+      message: "Store this key now, it will not be shown again",
+      key,
+      apiKey: apiKeyData,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke API key
+// @route   DELETE /api/admin/api-keys/:id
+// @access  Private/api_keys:manage
+exports.revokeApiKey = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found",
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: "API key is already revoked",
+      });
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    await recordAudit(req, {
+      action: "api_key.revoke",
+      entityType: "ApiKey",
+      entityId: apiKey._id,
+      before: { revokedAt: null },
+      after: { revokedAt: apiKey.revokedAt },
+      metadata: { name: apiKey.name },
+    });
+
+    res.json({
+      success: true,
+      message: "API key revoked successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
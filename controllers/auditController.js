@@ -0,0 +1,69 @@
+const AuditLog = require("../models/AuditLog");
+const { validationResult } = require("express-validator");
+
+// @desc    Get audit log entries, newest first
+// @route   GET /api/admin/audit
+// @access  Private/audit:read
+exports.getAuditLogs = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const {
+      actor,
+      apiKey,
+      action,
+      entityType,
+      entityId,
+      requestId,
+      from,
+      to,
+      page = 1,
+      limit = 20,
+    } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = {};
+    if (actor) query.actor = actor;
+    if (apiKey) query.apiKey = apiKey;
+    if (action) {
+      // "product.*" matches every product action
+      query.action = action.endsWith(".*")
+        ? { $regex: `^${action.slice(0, -2).replace(/\./g, "\\.")}\\.` }
+        : action;
+    }
+    if (entityType) query.entityType = entityType;
+    if (entityId) query.entityId = entityId;
+    if (requestId) query.requestId = requestId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const logs = await AuditLog.find(query)
+      .populate("actor", "name email role")
+      .populate("apiKey", "name prefix")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: logs.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      logs,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
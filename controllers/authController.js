@@ -1,11 +1,1000 @@
 const User = require("../models/User");
+const Session = require("../models/Session");
+const { sendMail } = require("../utils/mailer");
+const { requestOtp, checkOtp, consumeOtp } = require("../utils/otpService");
+const {
+  checkLoginAllowed,
+  confirmLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+} = require("../utils/loginProtection");
+const {
+  hashToken,
+  randomToken,
+  createSession,
+  rotateSession,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  generateTwoFactorToken,
+  verifyTwoFactorToken,
+} = require("../utils/tokenService");
+const {
+  generateTotpSecret,
+  checkTotp,
+  verifyTotp,
+  generateRecoveryCodes,
+  useRecoveryCode,
+} = require("../utils/twoFactor");
+const { isStaff } = require("../utils/permissions");
+const { disconnectSessions } = require("../utils/socketService");
 const generateToken = require("../utils/generateToken");
+const { getProviders, getProvider } = require("../config/oidc");
+const { createAuthorizationRequest, completeAuthorization } = require("../utils/oidc");
+const { recordAudit } = require("../utils/audit");
+const { storeImages } = require("../utils/images");
 const { validationResult } = require("express-validator");
 
+// Issue a new email verification token for the user and email the link
+const sendVerificationEmail = async (user) => {
+  const verificationToken = randomToken(32);
+  const expiresHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+  user.emailVerificationToken = hashToken(verificationToken);
+  user.emailVerificationExpires = new Date(Date.now() + expiresHours * 60 * 60 * 1000);
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = `${process.env.FRONTEND_URL || "http://localhost:3001"}/verify-email?token=${verificationToken}`;
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your Kuppams email address",
+    text: `Hi ${user.name},\n\nPlease confirm that this is your email address by opening the link below within ${expiresHours} hours:\n\n${verifyUrl}\n\nIf you did not create an account, you can ignore this email.`,
+  });
+};
+
+// Staff must always pass a second factor, customers only once they enable it
+const requiresTwoFactor = (user) => {
+  return isStaff(user) || user.twoFactor?.enabled;
+};
+
+const sendBlockedResponse = (res) => {
+  return res.status(403).json({
+    success: false,
+    message: "Your account has been blocked. Please contact support.",
+  });
+};
+
+// Refuse a login attempt while the account or IP is throttled
+const sendLoginRefusal = (res, refusal) => {
+  res.set("Retry-After", String(refusal.retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: refusal.message,
+    retryAfter: refusal.retryAfter,
+  });
+};
+
+// Finish a login: either issue a session or ask for the second factor
+const sendLoginResponse = async (user, req, res, statusCode = 200) => {
+  if (user.blockedAt) {
+    return sendBlockedResponse(res);
+  }
+
+  if (requiresTwoFactor(user)) {
+    return res.status(statusCode).json({
+      success: true,
+      twoFactorRequired: true,
+      twoFactorSetupRequired: !user.twoFactor?.enabled,
+      twoFactorToken: generateTwoFactorToken(user._id),
+    });
+  }
+
+  await recordSuccessfulLogin(req, user);
+  const { token, refreshToken } = await createSession(user, req);
+
+  res.status(statusCode).json({
+    success: true,
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      role: user.role,
+      phone: user.phone,
+      phoneVerified: user.phoneVerified,
+      profilePhoto: user.profilePhoto,
+    },
+  });
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
-exports.register = async (req, res, next) => {
+exports.register = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { name, email, password, phone } = req.body;
+
+    // Check if user exists
+    const userExists = await User.findOne({ email });
+    if (userExists) {
+      return res.status(400).json({
+        success: false,
+        message: "User already exists with this email",
+      });
+    }
+
+    // Create user
+    const user = await User.create({
+      name,
+      email,
+      password,
+      phone,
+    });
+
+    // Registration still succeeds if the email cannot be sent; the user can ask for a new link
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error(`Failed to send verification email: ${error.message}`);
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    // Explicitly exclude password from response
+    res.status(201).json({
+      success: true,
+      token,
+      refreshToken,
+      user: {
+        name: user.name,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        role: user.role,
+        phone: user.phone,
+        phoneVerified: user.phoneVerified,
+        profilePhoto: user.profilePhoto,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Login user
+// @route   POST /api/auth/login
+// @access  Public
+exports.login = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { email, password } = req.body;
+
+    // Check if user exists and get password
+    const user = await User.findOne({ email }).select("+password");
+
+    // Refuse early while the account is locked or the IP is throttled
+    const refusal = await checkLoginAllowed(user, req.ip);
+    if (refusal) {
+      return sendLoginRefusal(res, refusal);
+    }
+
+    if (!user) {
+      await recordFailedLogin(req, null, email);
+      return res.status(401).json({
+        success: false,
+        message: "Invalid credentials",
+      });
+    }
+
+    // Check if password matches
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      await recordFailedLogin(req, user, email);
+      return res.status(401).json({
+        success: false,
+        message: "Invalid credentials",
+      });
+    }
+
+    // Parallel wrong guesses may have locked the account while this one was checked
+    const lateRefusal = await confirmLoginAllowed(user);
+    if (lateRefusal) {
+      return sendLoginRefusal(res, lateRefusal);
+    }
+
+    // Issue tokens, or a two-factor challenge for admins and users with 2FA enabled
+    await sendLoginResponse(user, req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Send a login code by SMS
+// @route   POST /api/auth/otp/request
+// @access  Public
+exports.requestLoginOtp = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await requestOtp(req.body.phone, "login");
+
+    if (!result.sent) {
+      res.set("Retry-After", String(result.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Too many code requests. Please try again in ${result.retryAfter} seconds.`,
+        retryAfter: result.retryAfter,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Verification code sent",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Login or register with an SMS code
+// @route   POST /api/auth/otp/verify
+// @access  Public
+exports.verifyLoginOtp = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { phone, code, name, email } = req.body;
+
+    const otp = await checkOtp(phone, "login", code);
+    if (!otp) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired code",
+      });
+    }
+
+    let user = await User.findOne({ phone, phoneVerified: true });
+    let isNewUser = false;
+
+    if (!user) {
+      // New number: the code stays valid so the client can resend it with the details
+      if (!name || !email) {
+        return res.status(400).json({
+          success: false,
+          registrationRequired: true,
+          message: "Name and email are required to register with this phone number",
+        });
+      }
+
+      const userExists = await User.findOne({ email });
+      if (userExists) {
+        return res.status(400).json({
+          success: false,
+          message: "User already exists with this email. Please login and verify your phone from your profile.",
+        });
+      }
+    }
+
+    // Used up before anything is created, so parallel requests with the same code cannot both succeed
+    if (!(await consumeOtp(otp))) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired code",
+      });
+    }
+
+    if (!user) {
+      user = await User.create({
+        name,
+        email,
+        phone,
+        phoneVerified: true,
+      });
+      isNewUser = true;
+    }
+
+    if (isNewUser) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error(`Failed to send verification email: ${error.message}`);
+      }
+    }
+
+    await sendLoginResponse(user, req, res, isNewUser ? 201 : 200);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Send a code to verify a phone number for the current user
+// @route   POST /api/auth/phone/request-verification
+// @access  Private
+exports.requestPhoneVerification = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { phone } = req.body;
+
+    const phoneTaken = await User.findOne({
+      phone,
+      phoneVerified: true,
+      _id: { $ne: req.user._id },
+    });
+    if (phoneTaken) {
+      return res.status(400).json({
+        success: false,
+        message: "This phone number is already registered to another account",
+      });
+    }
+
+    const result = await requestOtp(phone, "verify_phone");
+
+    if (!result.sent) {
+      res.set("Retry-After", String(result.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Too many code requests. Please try again in ${result.retryAfter} seconds.`,
+        retryAfter: result.retryAfter,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Verification code sent",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Verify a phone number for the current user
+// @route   POST /api/auth/phone/verify
+// @access  Private
+exports.verifyPhone = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { phone, code } = req.body;
+
+    const otp = await checkOtp(phone, "verify_phone", code);
+    if (!otp) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired code",
+      });
+    }
+
+    const phoneTaken = await User.findOne({
+      phone,
+      phoneVerified: true,
+      _id: { $ne: req.user._id },
+    });
+    if (phoneTaken) {
+      return res.status(400).json({
+        success: false,
+        message: "This phone number is already registered to another account",
+      });
+    }
+
+    if (!(await consumeOtp(otp))) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired code",
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { phone, phoneVerified: true },
+      {
+        new: true,
+        runValidators: true,
+      }
+    ).select("-password");
+
+    res.json({
+      success: true,
+      message: "Phone number verified successfully",
+      user,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List the configured social login providers
+// @route   GET /api/auth/oidc/providers
+// @access  Public
+exports.getOidcProviders = async (req, res, next) => {
+  try {
+    const providers = Object.values(getProviders()).map((provider) => ({
+      name: provider.name,
+      label: provider.label,
+    }));
+
+    res.json({
+      success: true,
+      providers,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start a social login - returns the provider URL to send the browser to
+// @route   GET /api/auth/oidc/:provider/authorize
+// @access  Public
+exports.startOidcLogin = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: "Login provider not found",
+      });
+    }
+
+    const { authorizationUrl, state } = await createAuthorizationRequest(provider);
+
+    res.json({
+      success: true,
+      authorizationUrl,
+      state,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Complete a social login with the code and state from the provider redirect
+// @route   POST /api/auth/oidc/:provider/callback
+// @access  Public
+exports.oidcCallback = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: "Login provider not found",
+      });
+    }
+
+    const claims = await completeAuthorization(provider, req.body);
+
+    // Some providers send email_verified as a string
+    const emailVerified = claims.email_verified === true || claims.email_verified === "true";
+    if (!claims.email || !emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: `Your ${provider.label} account has no verified email address`,
+      });
+    }
+
+    const identity = { provider: provider.name, subject: claims.sub };
+    const email = claims.email.toLowerCase();
+
+    let user = await User.findOne({ oauthAccounts: { $elemMatch: identity } });
+    let isNewUser = false;
+
+    if (!user) {
+      user = await User.findOne({ email });
+
+      if (user) {
+        user.oauthAccounts.push({ ...identity, email });
+
+        // Whoever registered this email never proved owning it, so their
+        // password and sessions must not survive the real owner logging in
+        if (!user.emailVerified) {
+          user.password = undefined;
+          user.emailVerified = true;
+          user.emailVerificationToken = undefined;
+          user.emailVerificationExpires = undefined;
+          await revokeAllSessions(user._id);
+        }
+
+        await user.save({ validateModifiedOnly: true });
+
+        await recordAudit(req, {
+          action: "user.oidc_link",
+          entityType: "User",
+          entityId: user._id,
+          actor: user._id,
+          metadata: { provider: provider.name, email },
+        });
+      } else {
+        user = await User.create({
+          name: claims.name || claims.given_name || email.split("@")[0],
+          email,
+          emailVerified: true,
+          profilePhoto: claims.picture || null,
+          oauthAccounts: [{ ...identity, email }],
+        });
+        isNewUser = true;
+      }
+    }
+
+    await sendLoginResponse(user, req, res, isNewUser ? 201 : 200);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Complete a login with a TOTP or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+exports.verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { twoFactorToken, code, recoveryCode } = req.body;
+
+    const userId = verifyTwoFactorToken(twoFactorToken);
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Two-factor session is invalid or has expired. Please login again.",
+      });
+    }
+
+    const user = await User.findById(userId).select(
+      "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+    );
+
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not set up for this account",
+      });
+    }
+
+    if (user.blockedAt) {
+      return sendBlockedResponse(res);
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const refusal = await checkLoginAllowed(user, req.ip);
+    if (refusal) {
+      return sendLoginRefusal(res, refusal);
+    }
+
+    const isValid = code ? await verifyTotp(user, code) : await useRecoveryCode(user, recoveryCode);
+    if (!isValid) {
+      await recordFailedLogin(req, user, user.email);
+      return res.status(401).json({
+        success: false,
+        message: "Invalid two-factor code",
+      });
+    }
+
+    // Parallel wrong codes may have locked the account while this one was checked
+    const lateRefusal = await confirmLoginAllowed(user);
+    if (lateRefusal) {
+      return sendLoginRefusal(res, lateRefusal);
+    }
+
+    await recordSuccessfulLogin(req, user);
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({
+      success: true,
+      token,
+      refreshToken,
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        role: user.role,
+        phone: user.phone,
+        phoneVerified: user.phoneVerified,
+        profilePhoto: user.profilePhoto,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start two-factor enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or pending staff login)
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const { secret, otpauthUrl, qrCode } = await generateTotpSecret(user.email);
+
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: "Scan the QR code with an authenticator app, then confirm with a code",
+      secret,
+      otpauthUrl,
+      qrCode,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm two-factor enrollment with a first code
+// @route   POST /api/auth/2fa/enable
+// @access  Private (or pending staff login)
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.user.id).select("+twoFactor.pendingSecret");
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Start two-factor setup first",
+      });
+    }
+
+    if (!checkTotp(req.body.code, user.twoFactor.pendingSecret)) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid two-factor code",
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.enabledAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    const response = {
+      success: true,
+      message: "Two-factor authentication enabled. Store the recovery codes somewhere safe, they are shown only once.",
+      recoveryCodes: codes,
+    };
+
+    // Staff enrolling during login are logged in straight away
+    if (req.pendingLogin) {
+      const { token, refreshToken } = await createSession(user, req);
+      response.token = token;
+      response.refreshToken = refreshToken;
+    }
+
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    if (isStaff(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Two-factor authentication is mandatory for staff accounts",
+      });
+    }
+
+    const user = await User.findById(req.user.id).select(
+      "+password +twoFactor.secret +twoFactor.lastUsedStep"
+    );
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch || !(await verifyTotp(user, req.body.code))) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid password or two-factor code",
+      });
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.recoveryCodes = undefined;
+    user.twoFactor.lastUsedStep = undefined;
+    user.twoFactor.enabledAt = null;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Replace the recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.user.id).select(
+      "+twoFactor.secret +twoFactor.lastUsedStep"
+    );
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (!(await verifyTotp(user, req.body.code))) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid two-factor code",
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const tokens = await rotateSession(req.body.refreshToken, req);
+
+    if (!tokens) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token",
+      });
+    }
+
+    res.json({
+      success: true,
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Logout - revoke the session of a refresh token (or all sessions)
+// @route   POST /api/auth/logout
+// @access  Public
+exports.logout = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { refreshToken, allDevices } = req.body;
+
+    const session = await findSessionByRefreshToken(refreshToken);
+
+    // Logging out an unknown or already revoked session is not an error
+    if (session) {
+      if (allDevices) {
+        await revokeAllSessions(session.user);
+      } else {
+        await revokeSession(session._id);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: allDevices ? "Logged out from all devices" : "Logged out successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the active sessions (logged in devices) of the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("deviceName userAgent ip lastSeenAt createdAt expiresAt")
+      .sort({ lastSeenAt: -1 });
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        deviceName: session.deviceName,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        lastSeenAt: session.lastSeenAt,
+        createdAt: session.createdAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.authSession._id),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke one of the current user's sessions (log out a device)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeUserSession = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      revokedAt: null,
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    await revokeSession(session._id);
+
+    res.json({
+      success: true,
+      message: "Session revoked successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Verify email address using a verification token
+// @route   POST /api/auth/verify-email
+// @access  Public
+exports.verifyEmail = async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -15,48 +1004,69 @@ exports.register = async (req, res, next) => {
       });
     }
 
-    const { name, email, password, phone } = req.body;
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(req.body.token),
+      emailVerificationExpires: { $gt: new Date() },
+    });
 
-    // Check if user exists
-    const userExists = await User.findOne({ email });
-    if (userExists) {
+    if (!user) {
       return res.status(400).json({
         success: false,
-        message: "User already exists with this email",
+        message: "Verification token is invalid or has expired",
       });
     }
 
-    // Create user
-    const user = await User.create({
-      name,
-      email,
-      password,
-      phone,
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: "Email verified successfully",
     });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    const token = generateToken(user._id);
+// @desc    Resend the email verification link
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+exports.resendVerificationEmail = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
 
-    // Explicitly exclude password from response
-    res.status(201).json({
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is already verified",
+      });
+    }
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error(`Failed to send verification email: ${error.message}`);
+      return res.status(500).json({
+        success: false,
+        message: "Verification email could not be sent. Please try again later.",
+      });
+    }
+
+    res.json({
       success: true,
-      token,
-      user: {
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        phone: user.phone,
-        profilePhoto: user.profilePhoto,
-      },
+      message: "Verification email sent",
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Login user
-// @route   POST /api/auth/login
+// @desc    Send a password reset link
+// @route   POST /api/auth/forgot-password
 // @access  Public
-exports.login = async (req, res, next) => {
+exports.forgotPassword = async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -66,40 +1076,140 @@ exports.login = async (req, res, next) => {
       });
     }
 
-    const { email, password } = req.body;
+    // Same response whether or not the email exists, so accounts cannot be enumerated
+    const response = {
+      success: true,
+      message: "If an account exists for this email, a password reset link has been sent",
+    };
 
-    // Check if user exists and get password
-    const user = await User.findOne({ email }).select("+password");
+    const user = await User.findOne({ email: req.body.email });
     if (!user) {
-      return res.status(401).json({
+      return res.json(response);
+    }
+
+    const resetToken = randomToken(32);
+    const expiresMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+
+    user.passwordResetToken = hashToken(resetToken);
+    user.passwordResetExpires = new Date(Date.now() + expiresMinutes * 60 * 1000);
+    await user.save({ validateBeforeSave: false });
+
+    const resetUrl = `${process.env.FRONTEND_URL || "http://localhost:3001"}/reset-password?token=${resetToken}`;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: "Reset your Kuppams password",
+        text: `Hi ${user.name},\n\nWe received a request to reset your password. Use the link below within ${expiresMinutes} minutes to choose a new one:\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+      });
+    } catch (error) {
+      // Still answer with the generic response: an error only for existing
+      // accounts would give away which emails are registered
+      console.error(`Failed to send password reset email: ${error.message}`);
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reset password using a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: "Invalid credentials",
+        errors: errors.array(),
       });
     }
 
-    // Check if password matches
-    const isMatch = await user.comparePassword(password);
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+    }).select("+password");
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Password reset token is invalid or has expired",
+      });
+    }
+
+    // Token is single-use
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    // Proving ownership of the email lifts a brute-force lock
+    user.failedLoginAttempts = 0;
+    user.lastFailedLoginAt = null;
+    user.lockUntil = null;
+    await user.save();
+
+    // Whoever knew the old password must not stay logged in
+    await revokeAllSessions(user._id);
+
+    res.json({
+      success: true,
+      message: "Password has been reset. Please log in with your new password.",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change password of the logged in user
+// @route   PUT /api/auth/password
+// @access  Private
+exports.changePassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.user.id).select("+password");
+
+    // Accounts created with a phone OTP have no password to confirm
+    if (!user.password) {
+      return res.status(400).json({
+        success: false,
+        message: "No password is set for this account. Use forgot password to set one.",
+      });
+    }
+
+    const isMatch = await user.comparePassword(req.body.currentPassword);
     if (!isMatch) {
       return res.status(401).json({
         success: false,
-        message: "Invalid credentials",
+        message: "Current password is incorrect",
       });
     }
 
-    const token = generateToken(user._id);
+    // Saving sets passwordChangedAt, which rejects every access token issued before it
+    user.password = req.body.newPassword;
+    await user.save({ validateModifiedOnly: true });
+
+    // Log out other devices; this one stays logged in with a fresh access token
+    await revokeAllSessions(user._id, req.authSession._id);
+    // Sockets of this session were authenticated with the old token
+    disconnectSessions([req.authSession._id]);
 
-    // Password is already excluded due to select: false in User schema
     res.json({
       success: true,
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        phone: user.phone,
-        profilePhoto: user.profilePhoto,
-      },
+      message: "Password changed successfully",
+      token: generateToken(user._id, req.authSession._id),
     });
   } catch (error) {
     next(error);
@@ -159,6 +1269,7 @@ exports.getCompleteProfile = async (req, res, next) => {
           id: item._id,
           product: item.product,
           name: item.name,
+          variantLabel: item.variantLabel,
           quantity: item.quantity,
           price: item.price,
           discount: item.discount,
@@ -187,7 +1298,9 @@ exports.getCompleteProfile = async (req, res, next) => {
           id: user._id,
           name: user.name,
           email: user.email,
+          emailVerified: user.emailVerified,
           phone: user.phone,
+          phoneVerified: user.phoneVerified,
           profilePhoto: user.profilePhoto,
           address: user.address,
           role: user.role,
@@ -230,7 +1343,11 @@ exports.updateProfile = async (req, res, next) => {
 
     const updateData = {};
     if (name) updateData.name = name;
-    if (phone) updateData.phone = phone;
+    // A changed number has to be verified again
+    if (phone && phone !== req.user.phone) {
+      updateData.phone = phone;
+      updateData.phoneVerified = false;
+    }
     if (address) updateData.address = address;
     if (profilePhoto !== undefined) updateData.profilePhoto = profilePhoto;
 
@@ -281,3 +1398,149 @@ exports.updateProfilePhoto = async (req, res, next) => {
     next(error);
   }
 };
+
+// @desc    Upload a profile photo
+// @route   POST /api/auth/profile/photo
+// @access  Private
+exports.uploadProfilePhoto = async (req, res, next) => {
+  try {
+    const [upload] = await storeImages(req.files, "profiles", req.user._id);
+
+    // The previous upload, if any, is left to the orphan cleanup
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { profilePhoto: upload.url },
+      {
+        new: true,
+        runValidators: true,
+      }
+    ).select("-password");
+
+    res.json({
+      success: true,
+      message: "Profile photo updated successfully",
+      user,
+      upload,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Export all personal data of the current user
+// @route   GET /api/auth/me/export
+// @access  Private
+exports.exportMyData = async (req, res, next) => {
+  try {
+    const Order = require("../models/Order");
+    const Cart = require("../models/Cart");
+    const Review = require("../models/Review");
+
+    const user = await User.findById(req.user.id).select("-password");
+
+    const cart = await Cart.findOne({ user: req.user.id }).populate(
+      "items.product",
+      "name price discount"
+    );
+
+    const orders = await Order.find({ user: req.user.id })
+      .populate("items.product", "name")
+      .sort({ createdAt: -1 });
+
+    const reviews = await Review.find({ user: req.user.id })
+      .populate("product", "name")
+      .sort({ createdAt: -1 });
+
+    const archive = {
+      exportedAt: new Date(),
+      profile: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        phone: user.phone,
+        phoneVerified: user.phoneVerified,
+        profilePhoto: user.profilePhoto,
+        role: user.role,
+        twoFactorEnabled: user.twoFactor.enabled,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt,
+      },
+      address: user.address,
+      addresses: user.addresses,
+      cart: cart ? cart.items : [],
+      orders,
+      reviews,
+    };
+
+    const fileName = `kuppams-data-${new Date().toISOString().slice(0, 10)}.json`;
+    res.set("Content-Disposition", `attachment; filename="${fileName}"`);
+
+    res.json({
+      success: true,
+      data: archive,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete the current user's account
+// @route   DELETE /api/auth/me
+// @access  Private
+exports.deleteMyAccount = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const Cart = require("../models/Cart");
+    const Review = require("../models/Review");
+
+    if (isStaff(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Staff accounts must be removed by an administrator",
+      });
+    }
+
+    const user = await User.findById(req.user.id).select("+password");
+
+    // Accounts created by phone login have no password to confirm with
+    if (user.password) {
+      const isMatch = await user.comparePassword(req.body.password || "");
+      if (!isMatch) {
+        return res.status(401).json({
+          success: false,
+          message: "Incorrect password",
+        });
+      }
+    }
+
+    // Orders are kept intact for accounting; everything else personal goes
+    user.anonymize();
+    await user.save({ validateBeforeSave: false });
+
+    await Cart.deleteOne({ user: user._id });
+
+    // Reviews are personal content too; the ratings they counted towards are recalculated
+    const reviewedProducts = await Review.distinct("product", { user: user._id });
+    await Review.deleteMany({ user: user._id });
+    for (const productId of reviewedProducts) {
+      await Review.updateProductRating(productId);
+    }
+
+    await revokeAllSessions(user._id);
+
+    res.json({
+      success: true,
+      message: "Your account has been deleted",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
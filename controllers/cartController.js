@@ -42,7 +42,7 @@ exports.addToCart = async (req, res, next) => {
       });
     }
 
-    const { productId, quantity } = req.body;
+    const { productId, variantId, quantity } = req.body;
 
     // Check if product exists
     const product = await Product.findById(productId);
@@ -53,13 +53,21 @@ exports.addToCart = async (req, res, next) => {
       });
     }
 
+    const option = product.getPurchaseOption(variantId);
+    if (!option) {
+      return res.status(400).json({
+        success: false,
+        message: variantId ? "Variant not found or not available" : "Please choose a variant",
+      });
+    }
+
     // Check stock availability
     // stock = total available quantity in inventory
     // quantity = quantity user wants to buy
-    if (product.stock < quantity) {
+    if (option.stock < quantity) {
       return res.status(400).json({
         success: false,
-        message: `Insufficient stock available. Available: ${product.stock}, Requested: ${quantity}`,
+        message: `Insufficient stock available. Available: ${option.stock}, Requested: ${quantity}`,
       });
     }
 
@@ -69,24 +77,27 @@ exports.addToCart = async (req, res, next) => {
       cart = await Cart.create({ user: req.user.id, items: [] });
     }
 
-    // Check if item already exists in cart
+    // Check if item already exists in cart (same product and variant)
+    const variant = option.variant ? option.variant._id : null;
     const itemIndex = cart.items.findIndex(
-      (item) => item.product.toString() === productId
+      (item) =>
+        item.product.toString() === productId &&
+        String(item.variant || null) === String(variant)
     );
 
     if (itemIndex > -1) {
       // Update quantity
       const newQuantity = cart.items[itemIndex].quantity + quantity;
-      if (product.stock < newQuantity) {
+      if (option.stock < newQuantity) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient stock available. Available: ${product.stock}, Requested: ${newQuantity}`,
+          message: `Insufficient stock available. Available: ${option.stock}, Requested: ${newQuantity}`,
         });
       }
       cart.items[itemIndex].quantity = newQuantity;
     } else {
       // Add new item
-      cart.items.push({ product: productId, quantity });
+      cart.items.push({ product: productId, variant, quantity });
     }
 
     await cart.save();
@@ -157,12 +168,20 @@ exports.updateCartItem = async (req, res, next) => {
       });
     }
 
+    const option = product.getPurchaseOption(cart.items[itemIndex].variant);
+    if (!option) {
+      return res.status(400).json({
+        success: false,
+        message: "This variant is no longer available. Please remove it from your cart.",
+      });
+    }
+
     // stock = total available quantity in inventory
     // quantity = quantity user wants to buy
-    if (product.stock < quantity) {
+    if (option.stock < quantity) {
       return res.status(400).json({
         success: false,
-        message: `Insufficient stock available. Available: ${product.stock}, Requested: ${quantity}`,
+        message: `Insufficient stock available. Available: ${option.stock}, Requested: ${quantity}`,
       });
     }
 
@@ -0,0 +1,316 @@
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+const { recordAudit } = require("../utils/audit");
+const { validationResult } = require("express-validator");
+
+const SLUG_TAKEN_MESSAGE = "A category with this slug already exists";
+
+// Nest a flat, sorted list of categories. Categories whose parent is not in the
+// list (e.g. below an inactive category) are left out.
+const buildTree = (categories) => {
+  const nodes = new Map(
+    categories.map((category) => [category._id.toString(), { ...category.toObject(), children: [] }])
+  );
+
+  const roots = [];
+  nodes.forEach((node) => {
+    if (!node.parent) {
+      roots.push(node);
+    } else if (nodes.has(node.parent.toString())) {
+      nodes.get(node.parent.toString()).children.push(node);
+    }
+  });
+
+  return roots;
+};
+
+// Ancestor ids for a category placed under the given parent. Returns null if
+// the parent does not exist.
+const ancestorsFor = async (parentId) => {
+  if (!parentId) {
+    return [];
+  }
+  const parent = await Category.findById(parentId);
+  return parent ? [...parent.ancestors, parent._id] : null;
+};
+
+// @desc    Get the category tree
+// @route   GET /api/categories
+// @access  Public
+exports.getCategories = async (req, res, next) => {
+  try {
+    const categories = await Category.find({ isActive: true }).sort({ sortOrder: 1, name: 1 });
+
+    res.json({
+      success: true,
+      categories: buildTree(categories),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a category by id or slug, with its breadcrumb and subcategories
+// @route   GET /api/categories/:idOrSlug
+// @access  Public
+exports.getCategory = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const category = await Category.findByIdOrSlug(req.params.idOrSlug).populate(
+      "ancestors",
+      "name slug isActive"
+    );
+
+    if (!category || !category.isActive || category.ancestors.some((ancestor) => !ancestor.isActive)) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    const children = await Category.find({ parent: category._id, isActive: true }).sort({
+      sortOrder: 1,
+      name: 1,
+    });
+
+    res.json({
+      success: true,
+      category: {
+        ...category.toObject(),
+        children,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get all categories, including inactive ones, with product counts (Admin)
+// @route   GET /api/admin/categories
+// @access  Private/Admin
+exports.getAllCategories = async (req, res, next) => {
+  try {
+    const categories = await Category.find().sort({ sortOrder: 1, name: 1 });
+
+    const counts = await Product.aggregate([
+      { $group: { _id: "$category", count: { $sum: 1 } } },
+    ]);
+    const countById = new Map(counts.map((group) => [String(group._id), group.count]));
+
+    res.json({
+      success: true,
+      count: categories.length,
+      categories: categories.map((category) => ({
+        ...category.toObject(),
+        productCount: countById.get(category._id.toString()) || 0,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create category
+// @route   POST /api/admin/categories
+// @access  Private/Admin
+exports.createCategory = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { name, slug, parent, image, sortOrder, isActive } = req.body;
+
+    const ancestors = await ancestorsFor(parent);
+    if (!ancestors) {
+      return res.status(400).json({
+        success: false,
+        message: "Parent category not found",
+      });
+    }
+
+    const category = await Category.create({
+      name,
+      slug,
+      parent: parent || null,
+      ancestors,
+      image: image || "",
+      sortOrder: sortOrder || 0,
+      isActive: isActive !== undefined ? isActive : true,
+    });
+
+    await recordAudit(req, {
+      action: "category.create",
+      entityType: "Category",
+      entityId: category._id,
+      after: category,
+    });
+
+    res.status(201).json({
+      success: true,
+      category,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: SLUG_TAKEN_MESSAGE,
+      });
+    }
+    next(error);
+  }
+};
+
+// @desc    Update category, optionally moving it (with its subtree) to another parent
+// @route   PUT /api/admin/categories/:id
+// @access  Private/Admin
+exports.updateCategory = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    const before = category.toObject();
+    const { name, slug, parent, image, sortOrder, isActive } = req.body;
+
+    const parentChanged = parent !== undefined && String(parent || null) !== String(category.parent);
+    if (parentChanged) {
+      const ancestors = await ancestorsFor(parent);
+      if (!ancestors) {
+        return res.status(400).json({
+          success: false,
+          message: "Parent category not found",
+        });
+      }
+
+      // A category cannot be moved into itself or one of its own subcategories
+      if (ancestors.some((id) => id.equals(category._id)) || String(parent) === category._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: "A category cannot be moved under itself or one of its subcategories",
+        });
+      }
+
+      category.parent = parent || null;
+      category.ancestors = ancestors;
+    }
+
+    if (name !== undefined) category.name = name;
+    if (slug !== undefined) category.slug = slug;
+    if (image !== undefined) category.image = image;
+    if (sortOrder !== undefined) category.sortOrder = sortOrder;
+    if (isActive !== undefined) category.isActive = isActive;
+
+    await category.save();
+
+    // Descendants keep their position below this category, under its new ancestors
+    if (parentChanged) {
+      const descendants = await Category.find({ ancestors: category._id }).select("ancestors");
+      if (descendants.length > 0) {
+        await Category.bulkWrite(
+          descendants.map((descendant) => {
+            const index = descendant.ancestors.findIndex((id) => id.equals(category._id));
+            return {
+              updateOne: {
+                filter: { _id: descendant._id },
+                update: { ancestors: [...category.ancestors, ...descendant.ancestors.slice(index)] },
+              },
+            };
+          })
+        );
+      }
+    }
+
+    await recordAudit(req, {
+      action: "category.update",
+      entityType: "Category",
+      entityId: category._id,
+      before,
+      after: category,
+    });
+
+    res.json({
+      success: true,
+      category,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: SLUG_TAKEN_MESSAGE,
+      });
+    }
+    next(error);
+  }
+};
+
+// @desc    Delete an empty category
+// @route   DELETE /api/admin/categories/:id
+// @access  Private/Admin
+exports.deleteCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    if (await Category.exists({ parent: category._id })) {
+      return res.status(400).json({
+        success: false,
+        message: "Move or delete the subcategories of this category first",
+      });
+    }
+
+    const productCount = await Product.countDocuments({ category: category._id });
+    if (productCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `This category still has ${productCount} product(s). Move them to another category first.`,
+      });
+    }
+
+    await Category.findByIdAndDelete(category._id);
+
+    await recordAudit(req, {
+      action: "category.delete",
+      entityType: "Category",
+      entityId: category._id,
+      before: category,
+    });
+
+    res.json({
+      success: true,
+      message: "Category deleted successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,4 +1,5 @@
 const Coupon = require("../models/Coupon");
+const { recordAudit } = require("../utils/audit");
 const { validationResult } = require("express-validator");
 
 // @desc    Get all coupons
@@ -101,6 +102,13 @@ exports.createCoupon = async (req, res, next) => {
       usedCount: 0,
     });
 
+    await recordAudit(req, {
+      action: "coupon.create",
+      entityType: "Coupon",
+      entityId: coupon._id,
+      after: coupon,
+    });
+
     res.status(201).json({
       success: true,
       coupon,
@@ -130,9 +138,9 @@ exports.updateCoupon = async (req, res, next) => {
       });
     }
 
-    let coupon = await Coupon.findById(req.params.id);
+    const before = await Coupon.findById(req.params.id);
 
-    if (!coupon) {
+    if (!before) {
       return res.status(404).json({
         success: false,
         message: "Coupon not found",
@@ -140,7 +148,7 @@ exports.updateCoupon = async (req, res, next) => {
     }
 
     // If code is being updated, check for duplicates
-    if (req.body.code && req.body.code.toUpperCase() !== coupon.code) {
+    if (req.body.code && req.body.code.toUpperCase() !== before.code) {
       const existingCoupon = await Coupon.findOne({
         code: req.body.code.toUpperCase(),
       });
@@ -154,11 +162,19 @@ exports.updateCoupon = async (req, res, next) => {
     }
 
     // Update coupon
-    coupon = await Coupon.findByIdAndUpdate(req.params.id, req.body, {
+    const coupon = await Coupon.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
       runValidators: true,
     });
 
+    await recordAudit(req, {
+      action: "coupon.update",
+      entityType: "Coupon",
+      entityId: coupon._id,
+      before,
+      after: coupon,
+    });
+
     res.json({
       success: true,
       coupon,
@@ -191,6 +207,13 @@ exports.deleteCoupon = async (req, res, next) => {
 
     await Coupon.findByIdAndDelete(req.params.id);
 
+    await recordAudit(req, {
+      action: "coupon.delete",
+      entityType: "Coupon",
+      entityId: coupon._id,
+      before: coupon,
+    });
+
     res.json({
       success: true,
       message: "Coupon deleted successfully",
@@ -2,9 +2,55 @@ const Order = require("../models/Order");
 const Cart = require("../models/Cart");
 const Product = require("../models/Product");
 const Coupon = require("../models/Coupon");
+const { hasPermission } = require("../utils/permissions");
+const { recordAudit } = require("../utils/audit");
 const { validationResult } = require("express-validator");
 const { emitNewOrder, emitOrderStatusUpdate } = require("../utils/socketService");
 
+// Work out where an order ships to: a saved address by id, a raw address,
+// the default saved address or the legacy profile address, in that order.
+// Returns null when addressId does not match a saved address.
+const resolveShippingAddress = (user, { addressId, shippingAddress }) => {
+  if (addressId) {
+    const saved = user.addresses.id(addressId);
+    if (!saved) {
+      return null;
+    }
+    const { label, name, phone, street, city, state, zipCode, country } = saved;
+    return { label, name, phone, street, city, state, zipCode, country };
+  }
+
+  if (shippingAddress) {
+    return shippingAddress;
+  }
+
+  const defaultAddress = user.getDefaultAddress();
+  if (defaultAddress) {
+    return resolveShippingAddress(user, { addressId: defaultAddress._id });
+  }
+
+  return user.address;
+};
+
+// Product name with the pack size, e.g. "Basmati Rice (5kg)"
+const itemName = (product, option) => {
+  return option.variant ? `${product.name} (${option.label})` : product.name;
+};
+
+// Order item snapshot of a product or one of its variants
+const orderItemFor = (product, option, quantity) => {
+  return {
+    product: product._id,
+    name: product.name,
+    variant: option.variant ? option.variant._id : null,
+    variantLabel: option.variant ? option.label : null,
+    sku: option.sku,
+    quantity,
+    price: option.price,
+    discount: option.discount,
+  };
+};
+
 // @desc    Get user's orders
 // @route   GET /api/orders
 // @access  Private
@@ -40,8 +86,11 @@ exports.getOrder = async (req, res, next) => {
       });
     }
 
-    // Make sure user owns the order or is admin
-    if (order.user._id.toString() !== req.user.id && req.user.role !== "admin") {
+    // Make sure user owns the order or is staff allowed to read orders
+    if (
+      order.user._id.toString() !== req.user.id &&
+      !(await hasPermission(req.user, "orders:read"))
+    ) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to access this order",
@@ -70,7 +119,15 @@ exports.createOrder = async (req, res, next) => {
       });
     }
 
-    const { shippingAddress, couponCode } = req.body;
+    const { shippingAddress, addressId, couponCode } = req.body;
+
+    const orderAddress = resolveShippingAddress(req.user, { addressId, shippingAddress });
+    if (orderAddress === null) {
+      return res.status(400).json({
+        success: false,
+        message: "Address not found",
+      });
+    }
 
     // Get user's cart
     const cart = await Cart.findOne({ user: req.user.id })
@@ -97,30 +154,31 @@ exports.createOrder = async (req, res, next) => {
         });
       }
 
+      const option = product.getPurchaseOption(item.variant);
+      if (!option) {
+        return res.status(400).json({
+          success: false,
+          message: `The selected variant of ${product.name} is no longer available`,
+        });
+      }
+
       // stock = total available quantity in inventory
       // item.quantity = quantity user wants to buy
-      if (product.stock < item.quantity) {
+      if (option.stock < item.quantity) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient stock for ${product.name}. Available: ${product.stock}, Requested: ${item.quantity}`,
+          message: `Insufficient stock for ${itemName(product, option)}. Available: ${option.stock}, Requested: ${item.quantity}`,
         });
       }
 
-      const price = product.discountedPrice || product.price;
-      const itemTotal = price * item.quantity;
+      const itemTotal = option.discountedPrice * item.quantity;
       totalAmount += itemTotal;
 
-      orderItems.push({
-        product: product._id,
-        name: product.name,
-        quantity: item.quantity,
-        price: product.price,
-        discount: product.discount,
-      });
+      orderItems.push(orderItemFor(product, option, item.quantity));
 
       // Reduce product stock when order is placed
       // stock is reduced by the quantity being sold
-      product.stock -= item.quantity;
+      product.recordSale(item.variant, item.quantity);
       await product.save();
     }
 
@@ -188,7 +246,7 @@ exports.createOrder = async (req, res, next) => {
       couponDiscount,
       discountAmount,
       finalAmount,
-      shippingAddress: shippingAddress || req.user.address,
+      shippingAddress: orderAddress,
       status: "placed",
       paymentStatus: "pending",
       statusTimeline: [{
@@ -230,7 +288,15 @@ exports.buyNow = async (req, res, next) => {
       });
     }
 
-    const { productId, quantity, shippingAddress, couponCode } = req.body;
+    const { productId, variantId, quantity, shippingAddress, addressId, couponCode } = req.body;
+
+    const orderAddress = resolveShippingAddress(req.user, { addressId, shippingAddress });
+    if (orderAddress === null) {
+      return res.status(400).json({
+        success: false,
+        message: "Address not found",
+      });
+    }
 
     // Check if product exists
     const product = await Product.findById(productId);
@@ -241,17 +307,24 @@ exports.buyNow = async (req, res, next) => {
       });
     }
 
+    const option = product.getPurchaseOption(variantId);
+    if (!option) {
+      return res.status(400).json({
+        success: false,
+        message: variantId ? "Variant not found or not available" : "Please choose a variant",
+      });
+    }
+
     // Check stock availability
-    if (product.stock < quantity) {
+    if (option.stock < quantity) {
       return res.status(400).json({
         success: false,
-        message: `Insufficient stock available. Available: ${product.stock}, Requested: ${quantity}`,
+        message: `Insufficient stock available. Available: ${option.stock}, Requested: ${quantity}`,
       });
     }
 
     // Calculate total amount
-    const price = product.discountedPrice || product.price;
-    let totalAmount = price * quantity;
+    let totalAmount = option.discountedPrice * quantity;
 
     // Apply coupon discount if provided
     let couponDiscount = 0;
@@ -309,13 +382,7 @@ exports.buyNow = async (req, res, next) => {
     }
 
     // Prepare order item
-    const orderItems = [{
-      product: product._id,
-      name: product.name,
-      quantity: quantity,
-      price: product.price,
-      discount: product.discount,
-    }];
+    const orderItems = [orderItemFor(product, option, quantity)];
 
     // Create order with initial status "placed"
     const order = await Order.create({
@@ -326,7 +393,7 @@ exports.buyNow = async (req, res, next) => {
       couponDiscount,
       discountAmount,
       finalAmount,
-      shippingAddress: shippingAddress || req.user.address,
+      shippingAddress: orderAddress,
       status: "placed",
       paymentStatus: "pending",
       statusTimeline: [{
@@ -337,7 +404,7 @@ exports.buyNow = async (req, res, next) => {
     });
 
     // Reduce product stock
-    product.stock -= quantity;
+    product.recordSale(option.variant ? option.variant._id : null, quantity);
     await product.save();
 
     await order.populate("items.product");
@@ -381,6 +448,11 @@ exports.updateOrderStatus = async (req, res, next) => {
     }
 
     const previousStatus = order.status;
+    const before = {
+      status: order.status,
+      paymentStatus: order.paymentStatus,
+      expectedDeliveryDate: order.expectedDeliveryDate,
+    };
 
     if (status && status !== previousStatus) {
       // If order is being cancelled, restore stock and coupon usage
@@ -391,7 +463,7 @@ exports.updateOrderStatus = async (req, res, next) => {
           const product = item.product;
           if (product) {
             // Restore the quantity that was sold
-            product.stock += item.quantity;
+            product.recordSale(item.variant, -item.quantity);
             await product.save();
           }
         }
@@ -413,15 +485,22 @@ exports.updateOrderStatus = async (req, res, next) => {
         for (const item of order.items) {
           const product = item.product;
           if (product) {
+            const option = product.getPurchaseOption(item.variant);
+            if (!option) {
+              return res.status(400).json({
+                success: false,
+                message: `The ordered variant of ${product.name} is no longer available`,
+              });
+            }
             // Check if stock is available
-            if (product.stock < item.quantity) {
+            if (option.stock < item.quantity) {
               return res.status(400).json({
                 success: false,
-                message: `Insufficient stock for ${product.name}. Available: ${product.stock}, Required: ${item.quantity}`,
+                message: `Insufficient stock for ${itemName(product, option)}. Available: ${option.stock}, Required: ${item.quantity}`,
               });
             }
             // Reduce stock again
-            product.stock -= item.quantity;
+            product.recordSale(item.variant, item.quantity);
             await product.save();
           }
         }
@@ -472,6 +551,20 @@ exports.updateOrderStatus = async (req, res, next) => {
     }
 
     await order.save();
+
+    await recordAudit(req, {
+      action: "order.status_update",
+      entityType: "Order",
+      entityId: order._id,
+      before,
+      after: {
+        status: order.status,
+        paymentStatus: order.paymentStatus,
+        expectedDeliveryDate: order.expectedDeliveryDate,
+      },
+      metadata: { orderNumber: order.orderNumber, note: note || null },
+    });
+
     await order.populate("items.product");
     await order.populate("user", "name email");
 
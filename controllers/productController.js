@@ -1,43 +1,155 @@
 const Product = require("../models/Product");
+const Category = require("../models/Category");
+const { recordAudit, diffChanges } = require("../utils/audit");
+const { storeImages } = require("../utils/images");
+const { readSpreadsheet, planImport, exportCatalogue } = require("../utils/productSpreadsheet");
+const {
+  prefixSearchQuery,
+  buildHighlights,
+  discountedPriceExpression,
+  PRODUCT_SORTS,
+  getFacets,
+} = require("../utils/productSearch");
 const { validationResult } = require("express-validator");
 
-// @desc    Get all products
+const SKU_TAKEN_MESSAGE = "A product or variant with this SKU already exists";
+const SLUG_TAKEN_MESSAGE = "A product with this slug already exists";
+
+// Fields an admin may change with PUT /api/products/:id (see updateProductValidator).
+// The others, such as soldCount, the rating and previousSlugs, are kept by the server.
+const UPDATABLE_FIELDS = [
+  "name",
+  "sku",
+  "description",
+  "category",
+  "price",
+  "discount",
+  "stock",
+  "quantity",
+  "images",
+  "variants",
+  "isActive",
+  "slug",
+  "metaTitle",
+  "metaDescription",
+];
+
+// Message for a duplicate key error on saving a product
+const duplicateMessage = (error) => (error.keyPattern?.slug ? SLUG_TAKEN_MESSAGE : SKU_TAKEN_MESSAGE);
+
+// Category with its ancestors, for a breadcrumb
+const populateCategoryPath = (query) =>
+  query.populate({
+    path: "category",
+    select: "name slug ancestors",
+    populate: { path: "ancestors", select: "name slug" },
+  });
+
+// @desc    Get all products, with ranked full-text search, filters, sorting and facet counts
 // @route   GET /api/products
 // @access  Public
 exports.getProducts = async (req, res, next) => {
   try {
-    const { category, search, page = 1, limit = 10 } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { category, search, minPrice, maxPrice, inStock, onSale, sort, page = 1, limit = 10 } = req.query;
 
     // Build query
-    const query = { isActive: true };
+    let searchQuery = { isActive: true };
+    let sortBy = PRODUCT_SORTS[sort || "newest"];
+
+    if (search) {
+      searchQuery.$text = { $search: search };
+
+      // The text index only matches whole words, so fall back to word prefixes
+      if (await Product.exists(searchQuery)) {
+        // Rank by relevance unless another order was asked for
+        sortBy = sort ? sortBy : { score: -1, createdAt: -1 };
+      } else {
+        const prefixQuery = prefixSearchQuery(search);
+        delete searchQuery.$text;
+        searchQuery = prefixQuery ? { ...searchQuery, ...prefixQuery } : searchQuery;
+      }
+    }
 
+    const query = { ...searchQuery };
+
+    // A category includes the products of all its subcategories
     if (category) {
-      query.category = { $regex: category, $options: "i" };
+      const found = await Category.findByIdOrSlug(category);
+      query.category = {
+        $in: found && found.isActive ? await Category.subtreeIds(found) : [],
+      };
     }
 
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: "i" } },
-        { description: { $regex: search, $options: "i" } },
-      ];
+    if (inStock === "true") {
+      query.stock = { $gt: 0 };
+    } else if (inStock === "false") {
+      query.stock = 0;
+    }
+
+    if (onSale === "true") {
+      query.discount = { $gt: 0 };
+    } else if (onSale === "false") {
+      query.discount = { $in: [0, null] };
+    }
+
+    // Price filters apply to the price after discount
+    const priceConditions = [];
+    if (minPrice !== undefined) {
+      priceConditions.push({ $gte: [discountedPriceExpression, parseFloat(minPrice)] });
+    }
+    if (maxPrice !== undefined) {
+      priceConditions.push({ $lte: [discountedPriceExpression, parseFloat(maxPrice)] });
+    }
+    if (priceConditions.length > 0) {
+      query.$expr = { $and: priceConditions };
     }
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const products = await Product.find(query)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    const results = await Product.aggregate([
+      { $match: query },
+      {
+        $addFields: {
+          effectivePrice: discountedPriceExpression,
+          ...(query.$text && { score: { $meta: "textScore" } }),
+        },
+      },
+      { $sort: sortBy },
+      { $skip: skip },
+      { $limit: parseInt(limit) },
+      { $project: { effectivePrice: 0 } },
+    ]);
+    const products = await Product.populate(
+      results.map((result) => Product.hydrate(result)),
+      { path: "category", select: "name slug" }
+    );
 
     const total = await Product.countDocuments(query);
 
+    // Facets cover the whole search, ignoring the filters, so every option shows its count
+    const facets = await getFacets(Product, searchQuery);
+
     res.json({
       success: true,
       count: products.length,
       total,
       page: parseInt(page),
       pages: Math.ceil(total / parseInt(limit)),
-      products,
+      facets,
+      products: search
+        ? products.map((product) => ({
+          ...product.toJSON(),
+          highlights: buildHighlights(product, search),
+        }))
+        : products,
     });
   } catch (error) {
     next(error);
@@ -49,7 +161,7 @@ exports.getProducts = async (req, res, next) => {
 // @access  Public
 exports.getProduct = async (req, res, next) => {
   try {
-    const product = await Product.findById(req.params.id);
+    const product = await populateCategoryPath(Product.findById(req.params.id));
 
     if (!product) {
       return res.status(404).json({
@@ -67,6 +179,50 @@ exports.getProduct = async (req, res, next) => {
   }
 };
 
+// @desc    Get single product by its slug. Former slugs redirect to the current one.
+// @route   GET /api/products/slug/:slug
+// @access  Public
+exports.getProductBySlug = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const slug = req.params.slug.toLowerCase();
+    const product = await populateCategoryPath(Product.findOne({ slug }));
+
+    if (product) {
+      return res.json({
+        success: true,
+        product,
+      });
+    }
+
+    // A renamed product: tell the storefront its current URL
+    const renamed = await Product.findOne({ previousSlugs: slug }).select("slug");
+
+    if (!renamed) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    res.set("Location", `${req.baseUrl}/slug/${renamed.slug}`);
+    res.status(301).json({
+      success: true,
+      redirect: true,
+      slug: renamed.slug,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Create product
 // @route   POST /api/products
 // @access  Private/Admin
@@ -82,6 +238,7 @@ exports.createProduct = async (req, res, next) => {
 
     const {
       name,
+      sku,
       description,
       category,
       price,
@@ -89,10 +246,30 @@ exports.createProduct = async (req, res, next) => {
       images,
       stock,
       quantity,
+      variants,
+      slug,
+      metaTitle,
+      metaDescription,
     } = req.body;
 
+    if (!(await Category.exists({ _id: category }))) {
+      return res.status(400).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    if (slug && (await Product.slugTaken(slug))) {
+      return res.status(400).json({
+        success: false,
+        message: SLUG_TAKEN_MESSAGE,
+      });
+    }
+
+    // With variants, price, discount and stock are taken from the variants
     const product = await Product.create({
       name,
+      sku,
       description,
       category,
       price,
@@ -100,6 +277,17 @@ exports.createProduct = async (req, res, next) => {
       images: images || [],
       stock: stock || 0,
       quantity: quantity || "",
+      variants: variants || [],
+      slug,
+      metaTitle: metaTitle || "",
+      metaDescription: metaDescription || "",
+    });
+
+    await recordAudit(req, {
+      action: "product.create",
+      entityType: "Product",
+      entityId: product._id,
+      after: product,
     });
 
     res.status(201).json({
@@ -107,6 +295,12 @@ exports.createProduct = async (req, res, next) => {
       product,
     });
   } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: duplicateMessage(error),
+      });
+    }
     next(error);
   }
 };
@@ -124,7 +318,7 @@ exports.updateProduct = async (req, res, next) => {
       });
     }
 
-    let product = await Product.findById(req.params.id);
+    const product = await Product.findById(req.params.id);
 
     if (!product) {
       return res.status(404).json({
@@ -133,15 +327,98 @@ exports.updateProduct = async (req, res, next) => {
       });
     }
 
-    product = await Product.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
+    if (req.body.category && !(await Category.exists({ _id: req.body.category }))) {
+      return res.status(400).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    if (req.body.slug && (await Product.slugTaken(req.body.slug, product._id))) {
+      return res.status(400).json({
+        success: false,
+        message: SLUG_TAKEN_MESSAGE,
+      });
+    }
+
+    const before = product.toObject();
+
+    // Saved rather than updated in place so the variant totals are recalculated.
+    // Existing variants keep their id (and cart items) when sent with their _id.
+    const changes = {};
+    UPDATABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        changes[field] = req.body[field];
+      }
+    });
+    product.set(changes);
+    await product.save();
+
+    await recordAudit(req, {
+      action: "product.update",
+      entityType: "Product",
+      entityId: product._id,
+      before,
+      after: product,
     });
 
     res.json({
       success: true,
       product,
     });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: duplicateMessage(error),
+      });
+    }
+    next(error);
+  }
+};
+
+// @desc    Upload images and add them to a product
+// @route   POST /api/products/:id/images
+// @access  Private/Admin
+exports.uploadProductImages = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    const uploads = await storeImages(req.files, "catalog", req.user._id);
+    const before = { images: [...product.images] };
+
+    product.images.push(...uploads.map((upload) => upload.url));
+    await product.save();
+
+    await recordAudit(req, {
+      action: "product.update",
+      entityType: "Product",
+      entityId: product._id,
+      before,
+      after: { images: product.images },
+      metadata: { uploaded: uploads.length },
+    });
+
+    res.status(201).json({
+      success: true,
+      product,
+      uploads,
+    });
   } catch (error) {
     next(error);
   }
@@ -165,6 +442,15 @@ exports.deleteProduct = async (req, res, next) => {
     product.isActive = false;
     await product.save();
 
+    await recordAudit(req, {
+      action: "product.delete",
+      entityType: "Product",
+      entityId: product._id,
+      before: { isActive: true },
+      after: { isActive: false },
+      metadata: { name: product.name },
+    });
+
     res.json({
       success: true,
       message: "Product deleted successfully",
@@ -174,18 +460,124 @@ exports.deleteProduct = async (req, res, next) => {
   }
 };
 
-// @desc    Get all categories
-// @route   GET /api/products/categories
-// @access  Public
-exports.getCategories = async (req, res, next) => {
+// @desc    Import products from a CSV or XLSX file, creating or updating them by SKU (Admin)
+// @route   POST /api/admin/products/import
+// @access  Private/Admin
+exports.importProducts = async (req, res, next) => {
   try {
-    const categories = await Product.distinct("category", { isActive: true });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const dryRun = req.query.dryRun === "true";
+    const rows = await readSpreadsheet(req.file);
+    const plan = await planImport(rows);
+
+    const summary = {
+      rows: rows.length,
+      create: plan.products.filter((entry) => entry.action === "create").length,
+      update: plan.products.filter((entry) => entry.action === "update").length,
+      unchanged: plan.products.filter((entry) => entry.action === "unchanged").length,
+      errors: plan.errors.length,
+    };
+
+    const preview = plan.products.map(({ rows: productRows, action, product, before }) => ({
+      rows: productRows,
+      action,
+      sku: product.sku || null,
+      name: product.name,
+      ...(action === "update" && { changes: diffChanges(before, product) }),
+    }));
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dryRun,
+        summary,
+        products: preview,
+        errors: plan.errors,
+      });
+    }
+
+    // Nothing is imported until every row is valid
+    if (plan.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Nothing was imported. Fix the rows with errors and import the file again.",
+        summary,
+        errors: plan.errors,
+      });
+    }
+
+    const failed = [];
+    for (const { rows: productRows, action, product, before } of plan.products) {
+      if (action === "unchanged") {
+        continue;
+      }
+
+      try {
+        await product.save();
+      } catch (error) {
+        // Changed by someone else since the rows were checked
+        if (error.code === 11000 || error.name === "ValidationError") {
+          failed.push({
+            rows: productRows,
+            sku: product.sku || null,
+            message: error.code === 11000 ? duplicateMessage(error) : error.message,
+          });
+          continue;
+        }
+        throw error;
+      }
+
+      await recordAudit(req, {
+        action: `product.${action}`,
+        entityType: "Product",
+        entityId: product._id,
+        before,
+        after: product,
+        metadata: { import: true, rows: productRows },
+      });
+    }
 
     res.json({
       success: true,
-      categories,
+      dryRun,
+      summary: { ...summary, failed: failed.length },
+      products: preview,
+      failed,
     });
   } catch (error) {
     next(error);
   }
 };
+
+// @desc    Export the whole catalogue, including inactive products, as CSV or XLSX (Admin)
+// @route   GET /api/admin/products/export
+// @access  Private/Admin
+exports.exportProducts = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const format = req.query.format || "csv";
+    const { data, contentType } = await exportCatalogue(format);
+
+    const fileName = `kuppams-products-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set("Content-Type", contentType);
+    res.set("Content-Disposition", `attachment; filename="${fileName}"`);
+
+    res.send(data);
+  } catch (error) {
+    next(error);
+  }
+};
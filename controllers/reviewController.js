@@ -0,0 +1,407 @@
+const Review = require("../models/Review");
+const Product = require("../models/Product");
+const Order = require("../models/Order");
+const { recordAudit } = require("../utils/audit");
+const { holdReason } = require("../utils/reviewModeration");
+const { validationResult } = require("express-validator");
+
+// Reports after which an approved review goes back to the moderation queue
+const REPORT_THRESHOLD = parseInt(process.env.REVIEW_REPORT_THRESHOLD) || 3;
+
+// Moderation details are for staff only
+const PUBLIC_FIELDS = "-reports -heldReason -moderatedBy -moderationNote";
+
+// @desc    Get reviews of a product
+// @route   GET /api/products/:id/reviews
+// @access  Public
+exports.getProductReviews = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { page = 1, limit = 10 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const product = await Product.findById(req.params.id).select("ratingAverage ratingCount");
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    const query = { product: product._id, status: "approved" };
+
+    const reviews = await Review.find(query)
+      .select(PUBLIC_FIELDS)
+      .populate("user", "name profilePhoto")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Review.countDocuments(query);
+
+    res.json({
+      success: true,
+      ratingAverage: product.ratingAverage,
+      ratingCount: product.ratingCount,
+      count: reviews.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      reviews,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Review a product the user has received
+// @route   POST /api/products/:id/reviews
+// @access  Private
+exports.createReview = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { rating, title, comment } = req.body;
+
+    const product = await Product.findById(req.params.id);
+    if (!product || !product.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found or not available",
+      });
+    }
+
+    // Only customers who received the product may review it
+    const order = await Order.findOne({
+      user: req.user.id,
+      status: "delivered",
+      "items.product": product._id,
+    }).sort({ createdAt: -1 });
+
+    if (!order) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only review products from your delivered orders",
+      });
+    }
+
+    if (await Review.exists({ product: product._id, user: req.user.id })) {
+      return res.status(400).json({
+        success: false,
+        message: "You have already reviewed this product",
+      });
+    }
+
+    // Reviews with links or blocked words wait for a moderator
+    const reason = holdReason({ title, comment });
+
+    const review = await Review.create({
+      product: product._id,
+      user: req.user.id,
+      order: order._id,
+      rating,
+      title: title || "",
+      comment: comment || "",
+      status: reason ? "pending" : "approved",
+      heldReason: reason,
+    });
+
+    await Review.updateProductRating(product._id);
+
+    res.status(201).json({
+      success: true,
+      message: reason
+        ? "Thanks! Your review will be published once it has been checked."
+        : "Thanks for your review!",
+      review,
+    });
+  } catch (error) {
+    // Two requests racing past the check above
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "You have already reviewed this product",
+      });
+    }
+    next(error);
+  }
+};
+
+// @desc    Update own review
+// @route   PUT /api/products/:id/reviews/:reviewId
+// @access  Private
+exports.updateReview = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const review = await Review.findOne({
+      _id: req.params.reviewId,
+      product: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found",
+      });
+    }
+
+    const { rating, title, comment } = req.body;
+    if (rating !== undefined) review.rating = rating;
+    if (title !== undefined) review.title = title;
+    if (comment !== undefined) review.comment = comment;
+
+    // Edits stay published only if the review was published and still passes the checks
+    const reason = holdReason(review);
+    review.heldReason = reason || review.heldReason;
+    review.status = !reason && review.status === "approved" ? "approved" : "pending";
+    await review.save();
+
+    await Review.updateProductRating(review.product);
+
+    // Who reported the review is not for its author to see
+    const { reports, ...ownReview } = review.toObject();
+
+    res.json({
+      success: true,
+      review: ownReview,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete own review
+// @route   DELETE /api/products/:id/reviews/:reviewId
+// @access  Private
+exports.deleteReview = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const review = await Review.findOneAndDelete({
+      _id: req.params.reviewId,
+      product: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found",
+      });
+    }
+
+    await Review.updateProductRating(review.product);
+
+    res.json({
+      success: true,
+      message: "Review deleted successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Report a review as spam or abusive
+// @route   POST /api/products/:id/reviews/:reviewId/report
+// @access  Private
+exports.reportReview = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const review = await Review.findOne({
+      _id: req.params.reviewId,
+      product: req.params.id,
+      status: "approved",
+    });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found",
+      });
+    }
+
+    if (review.user.toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot report your own review",
+      });
+    }
+
+    // One report per customer, also when two requests race
+    const reported = await Review.updateOne(
+      { _id: review._id, "reports.user": { $ne: req.user.id } },
+      {
+        $push: { reports: { user: req.user.id, reason: req.body.reason || "" } },
+        $inc: { reportCount: 1 },
+      }
+    );
+
+    if (reported.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "You have already reported this review",
+      });
+    }
+
+    const held = await Review.updateOne(
+      { _id: review._id, status: "approved", reportCount: { $gte: REPORT_THRESHOLD } },
+      { status: "pending", heldReason: "Reported by customers" }
+    );
+
+    if (held.modifiedCount > 0) {
+      await Review.updateProductRating(review.product);
+    }
+
+    res.json({
+      success: true,
+      message: "Thanks, the review has been reported",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get reviews for moderation, most reported and oldest first (Admin)
+// @route   GET /api/admin/reviews
+// @access  Private/Admin
+exports.getReviewsForModeration = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { status = "pending", reported, product, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = {};
+    if (status !== "all") {
+      query.status = status;
+    }
+    if (reported === "true") {
+      query.reportCount = { $gt: 0 };
+    }
+    if (product) {
+      query.product = product;
+    }
+
+    const reviews = await Review.find(query)
+      .populate("user", "name email")
+      .populate("product", "name")
+      .populate("moderatedBy", "name email")
+      .sort({ reportCount: -1, createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Review.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: reviews.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      reviews,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve or reject reviews in bulk (Admin)
+// @route   PUT /api/admin/reviews/moderate
+// @access  Private/Admin
+exports.moderateReviews = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { reviewIds, action, note } = req.body;
+    const status = action === "approve" ? "approved" : "rejected";
+
+    const reviews = await Review.find({ _id: { $in: reviewIds } });
+    const productIds = new Set();
+
+    for (const review of reviews) {
+      const before = { status: review.status };
+
+      review.status = status;
+      review.moderatedBy = req.user._id;
+      review.moderatedAt = new Date();
+      review.moderationNote = note || "";
+      // Approving settles the reports so far; new ones count from zero
+      if (status === "approved") {
+        review.reports = [];
+        review.reportCount = 0;
+      }
+      await review.save();
+
+      productIds.add(review.product.toString());
+
+      await recordAudit(req, {
+        action: `review.${action}`,
+        entityType: "Review",
+        entityId: review._id,
+        before,
+        after: { status },
+        metadata: { product: review.product, note: note || undefined },
+      });
+    }
+
+    for (const productId of productIds) {
+      await Review.updateProductRating(productId);
+    }
+
+    const found = new Set(reviews.map((review) => review._id.toString()));
+
+    res.json({
+      success: true,
+      modified: reviews.length,
+      notFound: reviewIds.filter((id) => !found.has(id)),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
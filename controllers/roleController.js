@@ -0,0 +1,270 @@
+const Role = require("../models/Role");
+const User = require("../models/User");
+const { PERMISSIONS, BUILT_IN_ROLES } = require("../config/permissions");
+const { getRolePermissions, roleExists, grants } = require("../utils/permissions");
+const { recordAudit } = require("../utils/audit");
+const { validationResult } = require("express-validator");
+
+// Staff cannot hand out permissions they do not hold themselves
+const canGrantAll = (granted, permissions) => {
+  return permissions.every((permission) => grants(granted, permission));
+};
+
+// @desc    Get all roles and available permissions
+// @route   GET /api/admin/roles
+// @access  Private/roles:manage
+exports.getRoles = async (req, res, next) => {
+  try {
+    const customRoles = await Role.find().sort({ name: 1 });
+
+    const userCounts = await User.aggregate([
+      { $group: { _id: "$role", count: { $sum: 1 } } },
+    ]);
+    const countFor = (name) => userCounts.find((c) => c._id === name)?.count || 0;
+
+    const roles = [
+      ...Object.entries(BUILT_IN_ROLES).map(([name, role]) => ({
+        name,
+        description: role.description,
+        permissions: role.permissions,
+        builtIn: true,
+        userCount: countFor(name),
+      })),
+      ...customRoles.map((role) => ({
+        ...role.toObject(),
+        builtIn: false,
+        userCount: countFor(role.name),
+      })),
+    ];
+
+    res.json({
+      success: true,
+      count: roles.length,
+      permissions: PERMISSIONS,
+      roles,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create custom role
+// @route   POST /api/admin/roles
+// @access  Private/roles:manage
+exports.createRole = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { name, description, permissions } = req.body;
+
+    if (!canGrantAll(req.permissions, permissions)) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot create a role with permissions you do not have",
+      });
+    }
+
+    if (await roleExists(name.toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        message: "Role already exists",
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description: description || "",
+      permissions,
+    });
+
+    await recordAudit(req, {
+      action: "role.create",
+      entityType: "Role",
+      entityId: role._id,
+      after: role,
+    });
+
+    res.status(201).json({
+      success: true,
+      role,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update custom role
+// @route   PUT /api/admin/roles/:id
+// @access  Private/roles:manage
+exports.updateRole = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    const { description, permissions } = req.body;
+
+    // Both the old and new permissions must be within the editor's own
+    if (
+      permissions &&
+      !canGrantAll(req.permissions, [...role.permissions, ...permissions])
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot change a role's permissions beyond your own",
+      });
+    }
+
+    const before = { description: role.description, permissions: role.permissions };
+
+    // The name is not editable because users reference roles by name
+    if (description !== undefined) role.description = description;
+    if (permissions) role.permissions = permissions;
+    await role.save();
+
+    await recordAudit(req, {
+      action: "role.update",
+      entityType: "Role",
+      entityId: role._id,
+      before,
+      after: { description: role.description, permissions: role.permissions },
+      metadata: { name: role.name },
+    });
+
+    res.json({
+      success: true,
+      role,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete custom role
+// @route   DELETE /api/admin/roles/:id
+// @access  Private/roles:manage
+exports.deleteRole = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    const assigned = await User.countDocuments({ role: role.name });
+    if (assigned > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Role is assigned to ${assigned} user(s). Reassign them first.`,
+      });
+    }
+
+    await Role.findByIdAndDelete(req.params.id);
+
+    await recordAudit(req, {
+      action: "role.delete",
+      entityType: "Role",
+      entityId: role._id,
+      before: role,
+    });
+
+    res.json({
+      success: true,
+      message: "Role deleted successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Assign a role to a user
+// @route   PUT /api/admin/users/:id/role
+// @access  Private/roles:manage
+exports.assignRole = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const role = req.body.role.toLowerCase();
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot change your own role",
+      });
+    }
+
+    if (!(await roleExists(role))) {
+      return res.status(400).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // Neither the current nor the new role may carry permissions the editor lacks
+    const currentPermissions = await getRolePermissions(user.role);
+    const newPermissions = await getRolePermissions(role);
+    if (!canGrantAll(req.permissions, [...currentPermissions, ...newPermissions])) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot assign or remove a role with permissions you do not have",
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save({ validateModifiedOnly: true });
+
+    await recordAudit(req, {
+      action: "user.role_change",
+      entityType: "User",
+      entityId: user._id,
+      before: { role: previousRole },
+      after: { role },
+    });
+
+    res.json({
+      success: true,
+      message: "Role assigned successfully",
+      user,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,53 @@
+const { storeImages, cleanupOrphanedUploads } = require("../utils/images");
+const { recordAudit } = require("../utils/audit");
+const { validationResult } = require("express-validator");
+
+// @desc    Upload catalog images to use in products or categories (Admin)
+// @route   POST /api/admin/uploads
+// @access  Private/Admin
+exports.uploadCatalogImages = async (req, res, next) => {
+  try {
+    const uploads = await storeImages(req.files, "catalog", req.user._id);
+
+    res.status(201).json({
+      success: true,
+      count: uploads.length,
+      uploads,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove uploaded images nothing refers to any more (Admin)
+// @route   POST /api/admin/uploads/cleanup
+// @access  Private/Admin
+exports.cleanupUploads = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { olderThanHours } = req.body;
+    const result = await cleanupOrphanedUploads(
+      olderThanHours !== undefined ? { olderThanHours } : undefined
+    );
+
+    await recordAudit(req, {
+      action: "upload.cleanup",
+      entityType: "Upload",
+      metadata: { ...result, olderThanHours },
+    });
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,7 +1,38 @@
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const { verifyAccessToken, verifyTwoFactorToken } = require("../utils/tokenService");
+const { verifyApiKey } = require("../utils/apiKeyService");
+const { recordAudit } = require("../utils/audit");
+const { getRolePermissions, grants } = require("../utils/permissions");
 
-// Protect routes - verify JWT token
+// Methods an impersonation token may use
+const READ_ONLY_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Impersonated requests are read-only and every one of them is audited
+const handleImpersonation = async (req, res, next, impersonator) => {
+  req.impersonator = impersonator;
+  res.set("X-Impersonated-By", impersonator._id.toString());
+
+  const allowed = READ_ONLY_METHODS.includes(req.method);
+
+  await recordAudit(req, {
+    action: allowed ? "impersonation.request" : "impersonation.write_blocked",
+    entityType: "User",
+    entityId: req.user._id,
+    actor: impersonator._id,
+    metadata: { method: req.method, path: req.originalUrl },
+  });
+
+  if (!allowed) {
+    return res.status(403).json({
+      success: false,
+      message: "Impersonation sessions are read-only",
+    });
+  }
+
+  next();
+};
+
+// Protect routes - verify JWT token and its session
 exports.protect = async (req, res, next) => {
   try {
     let token;
@@ -18,27 +49,87 @@ exports.protect = async (req, res, next) => {
       });
     }
 
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verify token and make sure its session is still active
+    const auth = await verifyAccessToken(token);
 
-      // Get user from token
-      req.user = await User.findById(decoded.id).select("-password");
+    if (!auth) {
+      return res.status(401).json({
+        success: false,
+        message: "Not authorized to access this route",
+      });
+    }
 
-      if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          message: "User not found",
-        });
-      }
+    req.user = auth.user;
+    req.authSession = auth.session;
 
-      next();
-    } catch (error) {
+    if (auth.impersonator) {
+      return handleImpersonation(req, res, next, auth.impersonator);
+    }
+
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// Protect routes that integrations may call - accept an API key in the
+// X-API-Key header, otherwise fall back to the Bearer JWT. Requests made with
+// a key have no req.user, so only use this on routes guarded by
+// requirePermission whose handlers do not need the user.
+exports.protectWithApiKey = async (req, res, next) => {
+  const key = req.headers["x-api-key"];
+
+  if (!key) {
+    return exports.protect(req, res, next);
+  }
+
+  try {
+    const apiKey = await verifyApiKey(key, req);
+
+    if (!apiKey) {
       return res.status(401).json({
         success: false,
-        message: "Not authorized to access this route",
+        message: "Invalid or expired API key",
       });
     }
+
+    req.user = null;
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// Two-factor enrollment: allow a normal Bearer token, or the two-factor token
+// of a login that cannot complete until 2FA is set up (admins)
+exports.protectTwoFactorSetup = async (req, res, next) => {
+  if (!req.body.twoFactorToken) {
+    return exports.protect(req, res, next);
+  }
+
+  try {
+    const userId = verifyTwoFactorToken(req.body.twoFactorToken);
+    const user = userId && (await User.findById(userId).select("-password"));
+
+    if (!user || user.blockedAt) {
+      return res.status(401).json({
+        success: false,
+        message: "Two-factor session is invalid or has expired. Please login again.",
+      });
+    }
+
+    req.user = user;
+    req.pendingLogin = true;
+    next();
   } catch (error) {
     return res.status(500).json({
       success: false,
@@ -60,3 +151,43 @@ exports.authorize = (...roles) => {
     next();
   };
 };
+
+// Grant access to users whose role has all of the given permissions
+exports.requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      const granted = req.apiKey
+        ? req.apiKey.permissions
+        : await getRolePermissions(req.user.role);
+      const missing = permissions.filter((permission) => !grants(granted, permission));
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Missing permission: ${missing.join(", ")}`,
+        });
+      }
+
+      // Handlers use this to check extra permissions without another lookup
+      req.permissions = granted;
+      next();
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  };
+};
+
+// Block unverified emails when REQUIRE_EMAIL_VERIFICATION is enabled
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === "true" && !req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: "Please verify your email address before placing an order",
+    });
+  }
+  next();
+};
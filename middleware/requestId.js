@@ -0,0 +1,13 @@
+const crypto = require("crypto");
+
+// Give every request an id, reusing X-Request-Id from a proxy when it looks sane,
+// so audit entries and logs of one request can be tied together
+const requestId = (req, res, next) => {
+  const incoming = req.headers["x-request-id"];
+
+  req.id = /^[A-Za-z0-9._-]{1,100}$/.test(incoming || "") ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+};
+
+module.exports = requestId;
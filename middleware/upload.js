@@ -0,0 +1,82 @@
+const path = require("path");
+const multer = require("multer");
+
+// Largest accepted file, per image
+const MAX_FILE_SIZE_MB = parseInt(process.env.UPLOAD_MAX_FILE_SIZE_MB) || 5;
+
+// Largest accepted product import spreadsheet
+const MAX_SPREADSHEET_SIZE_MB = 10;
+
+// Declared types accepted; the image itself is checked again when it is processed
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+// Spreadsheet formats, by extension since browsers declare CSV files inconsistently
+const SPREADSHEET_EXTENSIONS = [".csv", ".xlsx"];
+
+const rejectFile = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Run a multer middleware, answering upload problems with a 400
+const handleUpload = (upload, { field, maxCount, maxSizeMB, noun }) => (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) {
+      const files = req.files || (req.file ? [req.file] : []);
+      if (files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: `No ${noun}s uploaded in the "${field}" field`,
+        });
+      }
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: `Each ${noun} must be at most ${maxSizeMB}MB`,
+        LIMIT_FILE_COUNT: `At most ${maxCount} ${noun}(s) can be uploaded at once`,
+        LIMIT_UNEXPECTED_FILE: `Upload ${noun}s in the "${field}" field, at most ${maxCount} at once`,
+      };
+      return res.status(400).json({
+        success: false,
+        message: messages[error.code] || error.message,
+      });
+    }
+
+    next(error);
+  });
+};
+
+// Accept up to maxCount images in a multipart field, kept in memory for processing
+exports.uploadImages = (field, maxCount) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE_MB * 1024 * 1024, files: maxCount },
+    fileFilter: (req, file, cb) => {
+      if (!IMAGE_TYPES.includes(file.mimetype)) {
+        return cb(rejectFile("Only JPEG, PNG and WebP images are allowed"));
+      }
+      cb(null, true);
+    },
+  }).array(field, maxCount);
+
+  return handleUpload(upload, { field, maxCount, maxSizeMB: MAX_FILE_SIZE_MB, noun: "image" });
+};
+
+// Accept a single CSV or XLSX file in a multipart field, kept in memory
+exports.uploadSpreadsheet = (field) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_SPREADSHEET_SIZE_MB * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!SPREADSHEET_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+        return cb(rejectFile("Only .csv and .xlsx files are allowed"));
+      }
+      cb(null, true);
+    },
+  }).single(field);
+
+  return handleUpload(upload, { field, maxCount: 1, maxSizeMB: MAX_SPREADSHEET_SIZE_MB, noun: "file" });
+};
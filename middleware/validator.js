@@ -1,4 +1,6 @@
 const { body, param, query } = require("express-validator");
+const { PERMISSIONS } = require("../config/permissions");
+const { PRODUCT_SORTS } = require("../utils/productSearch");
 
 // Auth validators
 exports.registerValidator = [
@@ -36,6 +38,175 @@ exports.loginValidator = [
   body("password").notEmpty().withMessage("Password is required"),
 ];
 
+exports.requestOtpValidator = [
+  body("phone")
+    .trim()
+    .notEmpty()
+    .withMessage("Phone is required")
+    .matches(/^[0-9]{10}$/)
+    .withMessage("Phone must be 10 digits"),
+];
+
+exports.verifyOtpValidator = [
+  body("phone")
+    .trim()
+    .notEmpty()
+    .withMessage("Phone is required")
+    .matches(/^[0-9]{10}$/)
+    .withMessage("Phone must be 10 digits"),
+  body("code")
+    .trim()
+    .notEmpty()
+    .withMessage("Code is required")
+    .matches(/^[0-9]{6}$/)
+    .withMessage("Code must be 6 digits"),
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Name must be between 2 and 50 characters"),
+  body("email")
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage("Please provide a valid email"),
+];
+
+exports.verifyPhoneValidator = [
+  body("phone")
+    .trim()
+    .notEmpty()
+    .withMessage("Phone is required")
+    .matches(/^[0-9]{10}$/)
+    .withMessage("Phone must be 10 digits"),
+  body("code")
+    .trim()
+    .notEmpty()
+    .withMessage("Code is required")
+    .matches(/^[0-9]{6}$/)
+    .withMessage("Code must be 6 digits"),
+];
+
+exports.twoFactorLoginValidator = [
+  body("twoFactorToken")
+    .notEmpty()
+    .withMessage("Two-factor token is required"),
+  body("code")
+    .if(body("recoveryCode").not().exists())
+    .notEmpty()
+    .withMessage("Code or recovery code is required")
+    .matches(/^[0-9]{6}$/)
+    .withMessage("Code must be 6 digits"),
+  body("recoveryCode")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Recovery code cannot be empty"),
+];
+
+exports.twoFactorCodeValidator = [
+  body("code")
+    .trim()
+    .notEmpty()
+    .withMessage("Code is required")
+    .matches(/^[0-9]{6}$/)
+    .withMessage("Code must be 6 digits"),
+];
+
+exports.disableTwoFactorValidator = [
+  body("password").notEmpty().withMessage("Password is required"),
+  body("code")
+    .trim()
+    .notEmpty()
+    .withMessage("Code is required")
+    .matches(/^[0-9]{6}$/)
+    .withMessage("Code must be 6 digits"),
+];
+
+exports.oidcProviderValidator = [
+  param("provider")
+    .matches(/^[a-z0-9_]+$/)
+    .withMessage("Invalid login provider"),
+];
+
+exports.oidcCallbackValidator = [
+  ...exports.oidcProviderValidator,
+  body("code")
+    .trim()
+    .notEmpty()
+    .withMessage("Authorization code is required"),
+  body("state")
+    .trim()
+    .notEmpty()
+    .withMessage("State is required"),
+];
+
+exports.refreshTokenValidator = [
+  body("refreshToken")
+    .trim()
+    .notEmpty()
+    .withMessage("Refresh token is required"),
+];
+
+exports.logoutValidator = [
+  body("refreshToken")
+    .trim()
+    .notEmpty()
+    .withMessage("Refresh token is required"),
+  body("allDevices")
+    .optional()
+    .isBoolean()
+    .withMessage("allDevices must be a boolean")
+    .toBoolean(),
+];
+
+exports.sessionIdValidator = [
+  param("id")
+    .isMongoId()
+    .withMessage("Invalid session ID"),
+];
+
+exports.verifyEmailValidator = [
+  body("token")
+    .trim()
+    .notEmpty()
+    .withMessage("Verification token is required"),
+];
+
+exports.forgotPasswordValidator = [
+  body("email")
+    .trim()
+    .notEmpty()
+    .withMessage("Email is required")
+    .isEmail()
+    .withMessage("Please provide a valid email"),
+];
+
+exports.resetPasswordValidator = [
+  body("token")
+    .trim()
+    .notEmpty()
+    .withMessage("Reset token is required"),
+  body("password")
+    .notEmpty()
+    .withMessage("Password is required")
+    .isLength({ min: 6 })
+    .withMessage("Password must be at least 6 characters"),
+];
+
+exports.changePasswordValidator = [
+  body("currentPassword")
+    .notEmpty()
+    .withMessage("Current password is required"),
+  body("newPassword")
+    .notEmpty()
+    .withMessage("New password is required")
+    .isLength({ min: 6 })
+    .withMessage("Password must be at least 6 characters")
+    .custom((value, { req }) => value !== req.body.currentPassword)
+    .withMessage("New password must be different from the current password"),
+];
+
 exports.updateProfileValidator = [
   body("name")
     .optional()
@@ -50,7 +221,7 @@ exports.updateProfileValidator = [
   body("profilePhoto")
     .optional()
     .trim()
-    .isURL()
+    .isURL({ require_tld: false })
     .withMessage("Profile photo must be a valid URL"),
   body("address.street").optional().trim(),
   body("address.city").optional().trim(),
@@ -59,16 +230,140 @@ exports.updateProfileValidator = [
   body("address.country").optional().trim(),
 ];
 
+exports.deleteAccountValidator = [
+  body("password").optional().isString().withMessage("Password must be a string"),
+  body("confirm")
+    .equals("DELETE")
+    .withMessage('Type "DELETE" in confirm to delete your account'),
+];
+
 exports.updateProfilePhotoValidator = [
   body("profilePhoto")
     .notEmpty()
     .withMessage("Profile photo URL is required")
     .trim()
-    .isURL()
+    .isURL({ require_tld: false })
     .withMessage("Profile photo must be a valid URL"),
 ];
 
+// Address validators
+const addressFieldValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    body("label")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 30 })
+      .withMessage("Label must be between 1 and 30 characters"),
+    field("name")
+      .trim()
+      .notEmpty()
+      .withMessage("Recipient name is required")
+      .isLength({ min: 2, max: 50 })
+      .withMessage("Recipient name must be between 2 and 50 characters"),
+    field("phone")
+      .trim()
+      .notEmpty()
+      .withMessage("Phone is required")
+      .matches(/^[0-9]{10}$/)
+      .withMessage("Phone must be 10 digits"),
+    field("street").trim().notEmpty().withMessage("Street is required"),
+    field("city").trim().notEmpty().withMessage("City is required"),
+    field("state").trim().notEmpty().withMessage("State is required"),
+    field("zipCode")
+      .trim()
+      .notEmpty()
+      .withMessage("Pincode is required")
+      .matches(/^[1-9][0-9]{5}$/)
+      .withMessage("Pincode must be 6 digits"),
+    body("country").optional().trim(),
+    body("isDefault")
+      .optional()
+      .isBoolean()
+      .withMessage("isDefault must be a boolean")
+      .toBoolean(),
+  ];
+};
+
+exports.addressIdValidator = [
+  param("addressId")
+    .notEmpty()
+    .withMessage("Address ID is required")
+    .isMongoId()
+    .withMessage("Invalid address ID"),
+];
+
+exports.addAddressValidator = addressFieldValidators(false);
+
+exports.updateAddressValidator = [
+  ...exports.addressIdValidator,
+  ...addressFieldValidators(true),
+];
+
 // Product validators
+const SKU_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+
+// Variants (pack sizes) of a product, shared by create and update
+const productVariantValidators = [
+  body("variants")
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage("Variants must be an array of at most 50 items"),
+  body("variants.*._id")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid variant ID"),
+  body("variants.*.sku")
+    .trim()
+    .notEmpty()
+    .withMessage("Variant SKU is required")
+    .matches(SKU_PATTERN)
+    .withMessage("Variant SKU may only contain letters, digits, - and _ (max 40)"),
+  body("variants.*.label")
+    .trim()
+    .notEmpty()
+    .withMessage("Variant label is required")
+    .isLength({ max: 30 })
+    .withMessage("Variant label must be less than 30 characters"),
+  body("variants.*.price")
+    .isFloat({ min: 0 })
+    .withMessage("Variant price must be a positive number"),
+  body("variants.*.discount")
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Variant discount must be between 0 and 100"),
+  body("variants.*.stock")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Variant stock must be a non-negative integer"),
+  body("variants.*.isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("Variant isActive must be a boolean"),
+];
+
+// Storefront URL and search engine fields, shared by create and update
+const productSeoValidators = [
+  body("slug")
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+    .withMessage("Slug may only contain lower-case letters, digits and single dashes")
+    .isLength({ max: 120 })
+    .withMessage("Slug must be less than 120 characters"),
+  body("metaTitle")
+    .optional()
+    .trim()
+    .isLength({ max: 70 })
+    .withMessage("Meta title must be at most 70 characters"),
+  body("metaDescription")
+    .optional()
+    .trim()
+    .isLength({ max: 160 })
+    .withMessage("Meta description must be at most 160 characters"),
+];
+
 exports.createProductValidator = [
   body("name")
     .trim()
@@ -76,6 +371,11 @@ exports.createProductValidator = [
     .withMessage("Product name is required")
     .isLength({ min: 2, max: 100 })
     .withMessage("Product name must be between 2 and 100 characters"),
+  body("sku")
+    .optional({ values: "falsy" })
+    .trim()
+    .matches(SKU_PATTERN)
+    .withMessage("SKU may only contain letters, digits, - and _ (max 40)"),
   body("description")
     .trim()
     .notEmpty()
@@ -83,10 +383,12 @@ exports.createProductValidator = [
     .isLength({ min: 10, max: 1000 })
     .withMessage("Description must be between 10 and 1000 characters"),
   body("category")
-    .trim()
     .notEmpty()
-    .withMessage("Product category is required"),
+    .withMessage("Product category is required")
+    .isMongoId()
+    .withMessage("Invalid category ID"),
   body("price")
+    .if((value, { req }) => !Array.isArray(req.body.variants) || req.body.variants.length === 0)
     .notEmpty()
     .withMessage("Price is required")
     .isFloat({ min: 0 })
@@ -102,8 +404,10 @@ exports.createProductValidator = [
   body("images").optional().isArray().withMessage("Images must be an array"),
   body("images.*")
     .optional()
-    .isURL()
+    .isURL({ require_tld: false })
     .withMessage("Each image must be a valid URL"),
+  ...productVariantValidators,
+  ...productSeoValidators,
 ];
 
 exports.updateProductValidator = [
@@ -112,6 +416,11 @@ exports.updateProductValidator = [
     .trim()
     .isLength({ min: 2, max: 100 })
     .withMessage("Product name must be between 2 and 100 characters"),
+  body("sku")
+    .optional({ values: "falsy" })
+    .trim()
+    .matches(SKU_PATTERN)
+    .withMessage("SKU may only contain letters, digits, - and _ (max 40)"),
   body("description")
     .optional()
     .trim()
@@ -119,9 +428,8 @@ exports.updateProductValidator = [
     .withMessage("Description must be between 10 and 1000 characters"),
   body("category")
     .optional()
-    .trim()
-    .notEmpty()
-    .withMessage("Category cannot be empty"),
+    .isMongoId()
+    .withMessage("Invalid category ID"),
   body("price")
     .optional()
     .isFloat({ min: 0 })
@@ -137,8 +445,10 @@ exports.updateProductValidator = [
   body("images").optional().isArray().withMessage("Images must be an array"),
   body("images.*")
     .optional()
-    .isURL()
+    .isURL({ require_tld: false })
     .withMessage("Each image must be a valid URL"),
+  ...productVariantValidators,
+  ...productSeoValidators,
   body("isActive")
     .optional()
     .isBoolean()
@@ -153,6 +463,36 @@ exports.productIdValidator = [
     .withMessage("Invalid product ID"),
 ];
 
+exports.productSlugValidator = [
+  param("slug")
+    .matches(/^[A-Za-z0-9-]{1,120}$/)
+    .withMessage("Invalid product slug"),
+];
+
+// Spreadsheet rows that create a product: the create rules, plus isActive,
+// which the create endpoint does not take
+exports.importProductRowValidator = [
+  ...exports.createProductValidator,
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean"),
+];
+
+exports.importProductsValidator = [
+  query("dryRun")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("dryRun must be true or false"),
+];
+
+exports.exportProductsValidator = [
+  query("format")
+    .optional()
+    .isIn(["csv", "xlsx"])
+    .withMessage("Format must be csv or xlsx"),
+];
+
 // Cart validators
 exports.addToCartValidator = [
   body("productId")
@@ -160,6 +500,10 @@ exports.addToCartValidator = [
     .withMessage("Product ID is required")
     .isMongoId()
     .withMessage("Invalid product ID"),
+  body("variantId")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid variant ID"),
   body("quantity")
     .notEmpty()
     .withMessage("Quantity is required")
@@ -195,6 +539,10 @@ exports.createOrderValidator = [
   body("shippingAddress.state").optional().trim(),
   body("shippingAddress.zipCode").optional().trim(),
   body("shippingAddress.country").optional().trim(),
+  body("addressId")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid address ID"),
   body("couponCode")
     .optional()
     .trim()
@@ -208,6 +556,10 @@ exports.buyNowValidator = [
     .withMessage("Product ID is required")
     .isMongoId()
     .withMessage("Invalid product ID"),
+  body("variantId")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid variant ID"),
   body("quantity")
     .notEmpty()
     .withMessage("Quantity is required")
@@ -218,6 +570,10 @@ exports.buyNowValidator = [
   body("shippingAddress.state").optional().trim(),
   body("shippingAddress.zipCode").optional().trim(),
   body("shippingAddress.country").optional().trim(),
+  body("addressId")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid address ID"),
   body("couponCode")
     .optional()
     .trim()
@@ -267,6 +623,62 @@ exports.updateOrderStatusValidator = [
     .withMessage("Note must be less than 500 characters"),
 ];
 
+// Category validators
+const categoryFieldValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field("name")
+      .trim()
+      .notEmpty()
+      .withMessage("Category name is required")
+      .isLength({ min: 2, max: 50 })
+      .withMessage("Category name must be between 2 and 50 characters"),
+    body("slug")
+      .optional()
+      .trim()
+      .toLowerCase()
+      .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+      .withMessage("Slug may only contain lower-case letters, digits and single dashes"),
+    body("parent")
+      .optional({ values: "null" })
+      .isMongoId()
+      .withMessage("Invalid parent category ID"),
+    body("image")
+      .optional({ values: "falsy" })
+      .trim()
+      .isURL({ require_tld: false })
+      .withMessage("Image must be a valid URL"),
+    body("sortOrder")
+      .optional()
+      .isInt()
+      .withMessage("Sort order must be an integer")
+      .toInt(),
+    body("isActive")
+      .optional()
+      .isBoolean()
+      .withMessage("isActive must be a boolean"),
+  ];
+};
+
+exports.categoryIdValidator = [
+  param("id")
+    .isMongoId()
+    .withMessage("Invalid category ID"),
+];
+
+exports.categoryLookupValidator = [
+  param("idOrSlug")
+    .matches(/^[A-Za-z0-9-]{1,100}$/)
+    .withMessage("Invalid category ID or slug"),
+];
+
+exports.createCategoryValidator = categoryFieldValidators(false);
+
+exports.updateCategoryValidator = [
+  ...exports.categoryIdValidator,
+  ...categoryFieldValidators(true),
+];
+
 // Coupon validators
 exports.createCouponValidator = [
   body("code")
@@ -361,6 +773,127 @@ exports.validateCouponValidator = [
     .withMessage("Cart total must be a non-negative number"),
 ];
 
+// User validators
+exports.userIdValidator = [
+  param("id")
+    .notEmpty()
+    .withMessage("User ID is required")
+    .isMongoId()
+    .withMessage("Invalid user ID"),
+];
+
+exports.blockUserValidator = [
+  ...exports.userIdValidator,
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason must be less than 500 characters"),
+];
+
+exports.impersonateUserValidator = [
+  ...exports.userIdValidator,
+  body("reason")
+    .trim()
+    .notEmpty()
+    .withMessage("A reason is required to impersonate a user")
+    .isLength({ max: 500 })
+    .withMessage("Reason must be less than 500 characters"),
+];
+
+exports.assignRoleValidator = [
+  param("id")
+    .notEmpty()
+    .withMessage("User ID is required")
+    .isMongoId()
+    .withMessage("Invalid user ID"),
+  body("role")
+    .trim()
+    .notEmpty()
+    .withMessage("Role is required"),
+];
+
+// Role validators
+exports.createRoleValidator = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Role name is required")
+    .matches(/^[a-zA-Z][a-zA-Z0-9_]{1,29}$/)
+    .withMessage("Role name must be 2-30 letters, digits or underscores"),
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Description cannot exceed 200 characters"),
+  body("permissions")
+    .isArray()
+    .withMessage("Permissions must be an array"),
+  body("permissions.*")
+    .isIn(PERMISSIONS)
+    .withMessage(`Each permission must be one of: ${PERMISSIONS.join(", ")}`),
+];
+
+exports.updateRoleValidator = [
+  param("id")
+    .notEmpty()
+    .withMessage("Role ID is required")
+    .isMongoId()
+    .withMessage("Invalid role ID"),
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Description cannot exceed 200 characters"),
+  body("permissions")
+    .optional()
+    .isArray()
+    .withMessage("Permissions must be an array"),
+  body("permissions.*")
+    .isIn(PERMISSIONS)
+    .withMessage(`Each permission must be one of: ${PERMISSIONS.join(", ")}`),
+];
+
+exports.roleIdValidator = [
+  param("id")
+    .notEmpty()
+    .withMessage("Role ID is required")
+    .isMongoId()
+    .withMessage("Invalid role ID"),
+];
+
+// API key validators
+exports.createApiKeyValidator = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("API key name is required")
+    .isLength({ max: 100 })
+    .withMessage("Name cannot exceed 100 characters"),
+  body("permissions")
+    .isArray({ min: 1 })
+    .withMessage("Permissions must be a non-empty array"),
+  body("permissions.*")
+    .isIn(PERMISSIONS)
+    .withMessage(`Each permission must be one of: ${PERMISSIONS.join(", ")}`),
+  body("expiresAt")
+    .notEmpty()
+    .withMessage("Expiry date is required")
+    .isISO8601()
+    .withMessage("Expiry date must be a valid ISO 8601 date")
+    .custom((value) => {
+      const expiresAt = new Date(value).getTime();
+      return expiresAt > Date.now() && expiresAt <= Date.now() + 365 * 24 * 60 * 60 * 1000;
+    })
+    .withMessage("Expiry date must be in the future and within one year"),
+];
+
+exports.apiKeyIdValidator = [
+  param("id")
+    .isMongoId()
+    .withMessage("Invalid API key ID"),
+];
+
 // Query validators
 exports.paginationValidator = [
   query("page")
@@ -372,3 +905,200 @@ exports.paginationValidator = [
     .isInt({ min: 1, max: 100 })
     .withMessage("Limit must be between 1 and 100"),
 ];
+
+exports.productListValidator = [
+  ...exports.paginationValidator,
+  query("category")
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9-]{1,100}$/)
+    .withMessage("Category must be a category ID or slug"),
+  query("search")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Search must be less than 100 characters"),
+  query("minPrice")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Minimum price must be a positive number"),
+  query("maxPrice")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Maximum price must be a positive number")
+    .custom((value, { req }) => {
+      if (req.query.minPrice !== undefined && parseFloat(value) < parseFloat(req.query.minPrice)) {
+        throw new Error("Maximum price must not be less than minimum price");
+      }
+      return true;
+    }),
+  query("inStock")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("In stock must be true or false"),
+  query("onSale")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("On sale must be true or false"),
+  query("sort")
+    .optional()
+    .isIn(Object.keys(PRODUCT_SORTS))
+    .withMessage(`Sort must be one of: ${Object.keys(PRODUCT_SORTS).join(", ")}`),
+];
+
+// Review validators
+const reviewFieldValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field("rating")
+      .notEmpty()
+      .withMessage("Rating is required")
+      .isInt({ min: 1, max: 5 })
+      .withMessage("Rating must be a whole number between 1 and 5")
+      .toInt(),
+    body("title")
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage("Title must be less than 100 characters"),
+    body("comment")
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage("Comment must be less than 1000 characters"),
+  ];
+};
+
+exports.reviewListValidator = [
+  ...exports.productIdValidator,
+  ...exports.paginationValidator,
+];
+
+exports.createReviewValidator = [
+  ...exports.productIdValidator,
+  ...reviewFieldValidators(false),
+];
+
+exports.reviewIdValidator = [
+  ...exports.productIdValidator,
+  param("reviewId")
+    .isMongoId()
+    .withMessage("Invalid review ID"),
+];
+
+exports.updateReviewValidator = [
+  ...exports.reviewIdValidator,
+  ...reviewFieldValidators(true),
+];
+
+exports.reportReviewValidator = [
+  ...exports.reviewIdValidator,
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason must be less than 500 characters"),
+];
+
+exports.moderationListValidator = [
+  ...exports.paginationValidator,
+  query("status")
+    .optional()
+    .isIn(["pending", "approved", "rejected", "all"])
+    .withMessage("Status must be pending, approved, rejected or all"),
+  query("reported")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("Reported must be true or false"),
+  query("product")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid product ID"),
+];
+
+exports.moderateReviewsValidator = [
+  body("reviewIds")
+    .isArray({ min: 1, max: 100 })
+    .withMessage("reviewIds must be an array of 1 to 100 review IDs"),
+  body("reviewIds.*")
+    .isMongoId()
+    .withMessage("Invalid review ID"),
+  body("action")
+    .isIn(["approve", "reject"])
+    .withMessage("Action must be approve or reject"),
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Note must be less than 500 characters"),
+];
+
+// Upload validators
+exports.cleanupUploadsValidator = [
+  body("olderThanHours")
+    .optional()
+    .isInt({ min: 1, max: 8760 })
+    .withMessage("olderThanHours must be between 1 and 8760")
+    .toInt(),
+];
+
+exports.userListValidator = [
+  ...exports.paginationValidator,
+  query("search")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Search must be less than 100 characters"),
+  query("role")
+    .optional()
+    .trim()
+    .matches(/^[a-zA-Z][a-zA-Z0-9_]{1,29}$/)
+    .withMessage("Invalid role"),
+  query("blocked")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("Blocked must be true or false"),
+  query("locked")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("Locked must be true or false"),
+];
+
+// Audit log validators
+exports.auditLogQueryValidator = [
+  ...exports.paginationValidator,
+  query("actor")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid actor ID"),
+  query("apiKey")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid API key ID"),
+  query("action")
+    .optional()
+    .matches(/^[a-z_]+(\.[a-z_]+)*(\.\*)?$/)
+    .withMessage("Invalid action"),
+  query("entityType")
+    .optional()
+    .matches(/^[A-Za-z]+$/)
+    .withMessage("Invalid entity type"),
+  query("entityId")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Invalid entity ID"),
+  query("requestId")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Invalid request ID"),
+  query("from")
+    .optional()
+    .isISO8601()
+    .withMessage("From must be a valid ISO 8601 date"),
+  query("to")
+    .optional()
+    .isISO8601()
+    .withMessage("To must be a valid ISO 8601 date"),
+];
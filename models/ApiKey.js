@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+const { PERMISSIONS } = require("../config/permissions");
+
+// API key for machine-to-machine integrations (accounting, delivery partners).
+// Only a SHA-256 hash of the key is stored; the key is shown once on creation.
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "API key name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    // First characters of the key, so admins can tell keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    permissions: {
+      type: [String],
+      validate: {
+        // Keys never get full access ("*")
+        validator: (permissions) =>
+          permissions.length > 0 && permissions.every((p) => PERMISSIONS.includes(p)),
+        message: "API keys need at least one known permission",
+      },
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry date is required"],
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Virtual to check if the key can still be used
+apiKeySchema.virtual("isActive").get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+apiKeySchema.set("toJSON", { virtuals: true });
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+
+// Append-only record of security events and admin changes. Entries are
+// written through utils/audit.js and can never be updated or deleted.
+const auditLogSchema = new mongoose.Schema({
+  // User who performed the action, null for anonymous, system or API key events
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  // Set when the action was performed by an integration with an API key
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ApiKey",
+    default: null,
+  },
+  action: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  entityType: {
+    type: String,
+    default: null,
+  },
+  entityId: {
+    type: String,
+    default: null,
+  },
+  // Changed fields only: { before, after }. before is null on create, after is null on delete.
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  ip: {
+    type: String,
+    default: "",
+  },
+  requestId: {
+    type: String,
+    default: null,
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Indexes for filtering the log
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ requestId: 1 });
+
+// Refuse every kind of change to existing entries
+const rejectChange = function(next) {
+  next(new Error("Audit log entries cannot be changed or deleted"));
+};
+
+auditLogSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"],
+  rejectChange
+);
+auditLogSchema.pre(
+  ["deleteOne", "deleteMany", "findOneAndDelete"],
+  { document: true, query: true },
+  rejectChange
+);
+auditLogSchema.pre("save", function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -6,6 +6,11 @@ const cartItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // Chosen variant (pack size) for products that have variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   quantity: {
     type: Number,
     required: true,
@@ -30,9 +35,10 @@ cartSchema.methods.calculateTotal = async function() {
   await this.populate('items.product');
   let total = 0;
   this.items.forEach(item => {
-    if (item.product) {
-      const price = item.product.discountedPrice || item.product.price;
-      total += price * item.quantity;
+    // Items whose variant is no longer sold do not count
+    const option = item.product && item.product.getPurchaseOption(item.variant);
+    if (option) {
+      total += option.discountedPrice * item.quantity;
     }
   });
   return total;
@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+const slugify = require("../utils/slugify");
+
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Category name is required"],
+      trim: true,
+    },
+    slug: {
+      type: String,
+      required: [true, "Category slug is required"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    // Ids of all parent categories, root first, so a subtree is one query
+    ancestors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+      },
+    ],
+    image: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+categorySchema.index({ ancestors: 1 });
+
+// Derive the slug from the name unless one was given
+categorySchema.pre("validate", function (next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+// Look a category up by id or by slug
+categorySchema.statics.findByIdOrSlug = function (value) {
+  if (mongoose.isValidObjectId(value)) {
+    return this.findOne({ $or: [{ _id: value }, { slug: value.toLowerCase() }] });
+  }
+  return this.findOne({ slug: value.toLowerCase() });
+};
+
+// Ids of a category and its active descendants. Subtrees below an inactive
+// category are left out, like in the public category tree.
+categorySchema.statics.subtreeIds = async function (category) {
+  const descendants = await this.find({ ancestors: category._id }).select("ancestors isActive");
+
+  const hidden = new Set(
+    descendants.filter((descendant) => !descendant.isActive).map((descendant) => descendant._id.toString())
+  );
+
+  const visible = descendants.filter(
+    (descendant) =>
+      descendant.isActive && !descendant.ancestors.some((id) => hidden.has(id.toString()))
+  );
+
+  return [category._id, ...visible.map((descendant) => descendant._id)];
+};
+
+module.exports = mongoose.model("Category", categorySchema);
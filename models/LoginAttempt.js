@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// One login attempt, kept for a day to rate limit by IP and spot bursts
+const loginAttemptSchema = new mongoose.Schema({
+  ip: {
+    type: String,
+    default: "",
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: "",
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  success: {
+    type: Boolean,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 24 * 60 * 60,
+  },
+});
+
+// Index for counting recent failures per IP
+loginAttemptSchema.index({ ip: 1, success: 1, createdAt: -1 });
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
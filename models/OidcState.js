@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// Pending OpenID Connect login, from the redirect to the provider until the
+// callback. Only a hash of the state is stored; the PKCE verifier and nonce
+// never leave the server.
+const oidcStateSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  provider: {
+    type: String,
+    required: true,
+  },
+  codeVerifier: {
+    type: String,
+    required: true,
+  },
+  nonce: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Let MongoDB remove abandoned logins
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("OidcState", oidcStateSchema);
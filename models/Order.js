@@ -10,6 +10,19 @@ const orderItemSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Variant snapshot, so the order keeps the pack size it was placed for
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  variantLabel: {
+    type: String,
+    default: null,
+  },
+  sku: {
+    type: String,
+    default: null,
+  },
   quantity: {
     type: Number,
     required: true,
@@ -62,6 +75,9 @@ const orderSchema = new mongoose.Schema({
     min: 0,
   },
   shippingAddress: {
+    label: String,
+    name: String,
+    phone: String,
     street: String,
     city: String,
     state: String,
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// One-time code sent by SMS. Only an HMAC of the code is stored.
+const otpSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  purpose: {
+    type: String,
+    enum: ["login", "verify_phone"],
+    required: true,
+  },
+  codeHash: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  consumedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Index for looking up the latest code of a phone
+otpSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+
+// Keep codes for a day after expiry so request rate limits can still count them
+otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model("Otp", otpSchema);
@@ -1,4 +1,50 @@
 const mongoose = require("mongoose");
+const slugify = require("../utils/slugify");
+
+// A pack size of a product (e.g. 1kg and 5kg of the same rice) with its own
+// SKU, price and stock
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, "Variant SKU is required"],
+    trim: true,
+    uppercase: true,
+  },
+  label: {
+    type: String,
+    required: [true, "Variant label is required"],
+    trim: true,
+  },
+  price: {
+    type: Number,
+    required: [true, "Variant price is required"],
+    min: [0, "Price must be positive"],
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, "Discount cannot be negative"],
+    max: [100, "Discount cannot exceed 100%"],
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: [0, "Stock cannot be negative"],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+variantSchema.virtual("discountedPrice").get(function () {
+  if (this.discount > 0) {
+    return this.price * (1 - this.discount / 100);
+  }
+  return this.price;
+});
+
+variantSchema.set("toJSON", { virtuals: true });
 
 const productSchema = new mongoose.Schema(
   {
@@ -7,15 +53,50 @@ const productSchema = new mongoose.Schema(
       required: [true, "Product name is required"],
       trim: true,
     },
+    // The product's own SKU. Variants have their own, so for a product with
+    // variants it identifies the product as a whole (e.g. in spreadsheet imports).
+    sku: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      set: (value) => value || undefined,
+    },
+    // Storefront URL name, unique. Derived from the name and renewed when the
+    // name changes; the old slugs keep pointing to the product.
+    slug: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    previousSlugs: [
+      {
+        type: String,
+        lowercase: true,
+      },
+    ],
+    // Search engine title and description; the storefront falls back to the
+    // name and description when empty
+    metaTitle: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: [70, "Meta title cannot exceed 70 characters"],
+    },
+    metaDescription: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: [160, "Meta description cannot exceed 160 characters"],
+    },
     description: {
       type: String,
       required: [true, "Product description is required"],
       trim: true,
     },
     category: {
-      type: String,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
       required: [true, "Product category is required"],
-      trim: true,
     },
     price: {
       type: Number,
@@ -39,6 +120,24 @@ const productSchema = new mongoose.Schema(
       default: 0,
       min: [0, "Stock cannot be negative"],
     },
+    // Units sold in orders that are not cancelled, for best-selling sorting
+    soldCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Kept up to date from the product's reviews
+    ratingAverage: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 5,
+    },
+    ratingCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     quantity: {
       type: String,
       default: "",
@@ -48,12 +147,156 @@ const productSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    variants: [variantSchema],
   },
   {
     timestamps: true,
   }
 );
 
+// Full-text search, ranked with name matches weighing most
+productSchema.index(
+  { name: "text", description: "text" },
+  { weights: { name: 10, description: 1 }, name: "product_text_search" }
+);
+
+productSchema.index({ category: 1 });
+
+productSchema.index(
+  { slug: 1 },
+  { unique: true, partialFilterExpression: { slug: { $type: "string" } } }
+);
+productSchema.index({ previousSlugs: 1 });
+
+// SKUs are unique across all products
+productSchema.index(
+  { sku: 1 },
+  { unique: true, partialFilterExpression: { sku: { $type: "string" } } }
+);
+
+productSchema.index(
+  { "variants.sku": 1 },
+  { unique: true, partialFilterExpression: { "variants.sku": { $type: "string" } } }
+);
+
+// With variants, the product's own price, discount and stock mirror its active
+// variants (cheapest price, total stock) so listing filters and sorting still work
+productSchema.pre("validate", function (next) {
+  if (this.variants.length === 0) {
+    return next();
+  }
+
+  const skus = this.variants.map((variant) => variant.sku);
+  if (new Set(skus).size !== skus.length) {
+    this.invalidate("variants", "Variant SKUs must be unique");
+  }
+
+  const active = this.variants.filter((variant) => variant.isActive);
+  this.stock = active.reduce((sum, variant) => sum + variant.stock, 0);
+
+  if (active.length > 0) {
+    const cheapest = active.reduce((min, variant) =>
+      variant.discountedPrice < min.discountedPrice ? variant : min
+    );
+    this.price = cheapest.price;
+    this.discount = cheapest.discount;
+  }
+
+  next();
+});
+
+// Remember the stored slug, so a replaced one can be kept for redirects
+productSchema.post("init", function () {
+  this.$locals.storedSlug = this.slug;
+});
+
+productSchema.post("save", function () {
+  this.$locals.storedSlug = this.slug;
+});
+
+// Give new and renamed products a slug from their name, unless one was set
+// explicitly. A slug another product uses, now or before, gets a number added
+// ("basmati-rice-2"). The replaced slug is kept in previousSlugs.
+productSchema.pre("validate", async function () {
+  const renamed = !this.isNew && this.isModified("name") && !this.isModified("slug");
+
+  if (this.name && (!this.slug || renamed)) {
+    const base = slugify(this.name) || "product";
+    let slug = base;
+    for (let number = 2; await this.constructor.slugTaken(slug, this._id); number += 1) {
+      slug = `${base}-${number}`;
+    }
+    this.slug = slug;
+  }
+
+  const storedSlug = this.$locals.storedSlug;
+  if (storedSlug && this.slug !== storedSlug) {
+    this.previousSlugs = [
+      ...this.previousSlugs.filter((slug) => slug !== this.slug && slug !== storedSlug),
+      storedSlug,
+    ];
+  }
+});
+
+// Whether a slug is the current or a former slug of another product
+productSchema.statics.slugTaken = function (slug, productId = null) {
+  const query = { $or: [{ slug }, { previousSlugs: slug }] };
+  if (productId) {
+    query._id = { $ne: productId };
+  }
+  return this.exists(query);
+};
+
+// Price and stock of what a cart or order item buys: the given variant, or the
+// product itself when it has no variants. Returns null if the variant is
+// unknown or inactive, or if the product has variants and none was chosen.
+productSchema.methods.getPurchaseOption = function (variantId) {
+  if (this.variants.length === 0) {
+    if (variantId) {
+      return null;
+    }
+    return {
+      variant: null,
+      label: this.quantity,
+      sku: this.sku || null,
+      price: this.price,
+      discount: this.discount,
+      discountedPrice: this.discountedPrice,
+      stock: this.stock,
+    };
+  }
+
+  const variant = variantId ? this.variants.id(variantId) : null;
+  if (!variant || !variant.isActive) {
+    return null;
+  }
+
+  return {
+    variant,
+    label: variant.label,
+    sku: variant.sku,
+    price: variant.price,
+    discount: variant.discount,
+    discountedPrice: variant.discountedPrice,
+    stock: variant.stock,
+  };
+};
+
+// Take sold units out of stock; a negative quantity puts them back, e.g. on
+// cancellation. Units of a variant that has since been removed only count
+// towards soldCount.
+productSchema.methods.recordSale = function (variantId, quantity) {
+  if (variantId) {
+    const variant = this.variants.id(variantId);
+    if (variant) {
+      variant.stock -= quantity;
+    }
+  } else {
+    this.stock -= quantity;
+  }
+  this.soldCount = Math.max(0, this.soldCount + quantity);
+};
+
 // Virtual for discounted price
 productSchema.virtual("discountedPrice").get(function () {
   if (this.discount > 0) {
@@ -0,0 +1,114 @@
+const mongoose = require("mongoose");
+
+const reviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Delivered order that entitles the user to review the product
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: [true, "Rating is required"],
+      min: [1, "Rating must be between 1 and 5"],
+      max: [5, "Rating must be between 1 and 5"],
+    },
+    title: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    comment: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    // Only approved reviews are shown and counted in the product rating
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    // Why the review was held for moderation automatically
+    heldReason: {
+      type: String,
+      default: null,
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    moderatedAt: {
+      type: Date,
+      default: null,
+    },
+    moderationNote: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    reports: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        reason: {
+          type: String,
+          default: "",
+          trim: true,
+        },
+        reportedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    reportCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One review per user per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, reportCount: -1, createdAt: 1 });
+
+// Recalculate the average rating and review count stored on the product, over approved reviews
+reviewSchema.statics.updateProductRating = async function (productId) {
+  const Product = mongoose.model("Product");
+
+  const [stats] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId), status: "approved" } },
+    { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+  ]);
+
+  await Product.updateOne(
+    { _id: productId },
+    {
+      ratingAverage: stats ? Math.round(stats.average * 10) / 10 : 0,
+      ratingCount: stats ? stats.count : 0,
+    }
+  );
+};
+
+module.exports = mongoose.model("Review", reviewSchema);
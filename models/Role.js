@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+const { PERMISSIONS, BUILT_IN_ROLES } = require("../config/permissions");
+
+// Custom staff role. Built-in roles are defined in config/permissions.js.
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Role name is required"],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z][a-z0-9_]{1,29}$/, "Role name must be 2-30 lowercase letters, digits or underscores"],
+      validate: {
+        validator: (name) => !BUILT_IN_ROLES[name],
+        message: "Role name is reserved for a built-in role",
+      },
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+      default: "",
+    },
+    permissions: {
+      type: [String],
+      validate: {
+        // Full access ("*") is reserved for the built-in owner and admin roles
+        validator: (permissions) => permissions.every((p) => PERMISSIONS.includes(p)),
+        message: "Unknown permission",
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("Role", roleSchema);
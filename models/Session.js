@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+// A login session on one device. The refresh token itself is never stored,
+// only its SHA-256 hash, and it is rotated on every refresh.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Hash of the refresh token this session was last rotated from, kept to detect replays
+  previousRefreshTokenHash: {
+    type: String,
+    default: null,
+    index: true,
+  },
+  userAgent: {
+    type: String,
+    default: "",
+  },
+  ip: {
+    type: String,
+    default: "",
+  },
+  // Readable description of the device, e.g. "Chrome on Android"
+  deviceName: {
+    type: String,
+    default: "",
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Let MongoDB remove sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual to check if session can still be used
+sessionSchema.virtual("isActive").get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model("Session", sessionSchema);
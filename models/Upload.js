@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+const thumbnailSchema = new mongoose.Schema(
+  {
+    size: {
+      type: Number,
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// An uploaded image and its thumbnails in the configured storage. Uploads
+// that nothing refers to any more are removed by the orphan cleanup.
+const uploadSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    driver: {
+      type: String,
+      required: true,
+    },
+    thumbnails: [thumbnailSchema],
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    bytes: {
+      type: Number,
+      required: true,
+    },
+    width: Number,
+    height: Number,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+uploadSchema.index({ url: 1 });
+uploadSchema.index({ createdAt: 1 });
+
+module.exports = mongoose.model("Upload", uploadSchema);
@@ -1,5 +1,57 @@
 const mongoose = require("mongoose");
+const crypto = require("crypto");
 const bcrypt = require("bcryptjs");
+const { roleExists } = require("../utils/permissions");
+
+const addressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    default: "Home",
+    maxlength: [30, "Label cannot exceed 30 characters"],
+  },
+  name: {
+    type: String,
+    required: [true, "Recipient name is required"],
+    trim: true,
+  },
+  phone: {
+    type: String,
+    required: [true, "Phone is required"],
+    trim: true,
+    match: [/^[0-9]{10}$/, "Phone must be 10 digits"],
+  },
+  street: {
+    type: String,
+    required: [true, "Street is required"],
+    trim: true,
+  },
+  city: {
+    type: String,
+    required: [true, "City is required"],
+    trim: true,
+  },
+  state: {
+    type: String,
+    required: [true, "State is required"],
+    trim: true,
+  },
+  zipCode: {
+    type: String,
+    required: [true, "Pincode is required"],
+    trim: true,
+    match: [/^[1-9][0-9]{5}$/, "Pincode must be 6 digits"],
+  },
+  country: {
+    type: String,
+    trim: true,
+    default: "India",
+  },
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+});
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -15,26 +67,46 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^\S+@\S+\.\S+$/, "Please provide a valid email"],
   },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
   password: {
     type: String,
-    required: [true, "Please provide a password"],
+    // Accounts created through phone OTP or social login have no password
+    required: [
+      function() {
+        return !this.phoneVerified && this.oauthAccounts.length === 0;
+      },
+      "Please provide a password",
+    ],
     minlength: 6,
     select: false,
   },
+  // Name of a built-in role (config/permissions.js) or a custom Role
   role: {
     type: String,
-    enum: ["user", "admin"],
     default: "user",
+    validate: {
+      validator: (role) => roleExists(role),
+      message: "Unknown role",
+    },
   },
   phone: {
     type: String,
     trim: true,
+    match: [/^[0-9]{10}$/, "Phone must be 10 digits"],
+  },
+  phoneVerified: {
+    type: Boolean,
+    default: false,
   },
   profilePhoto: {
     type: String,
     trim: true,
     default: null,
   },
+  // Legacy single address, still used when the address book is empty
   address: {
     street: String,
     city: String,
@@ -42,21 +114,192 @@ const userSchema = new mongoose.Schema({
     zipCode: String,
     country: String,
   },
+  addresses: [addressSchema],
+  // Identities at OpenID Connect providers that can log into this account
+  oauthAccounts: [
+    {
+      _id: false,
+      provider: {
+        type: String,
+        required: true,
+      },
+      // "sub" claim of the provider's ID token
+      subject: {
+        type: String,
+        required: true,
+      },
+      email: String,
+      linkedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  // TOTP two-factor authentication (mandatory for admins)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    secret: {
+      type: String,
+      select: false,
+    },
+    // Secret generated during enrollment, until the first code confirms it
+    pendingSecret: {
+      type: String,
+      select: false,
+    },
+    // SHA-256 hashes of the unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Last accepted TOTP time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    enabledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  // Set by staff to stop the user from logging in or using existing tokens
+  blockedAt: {
+    type: Date,
+    default: null,
+  },
+  blockReason: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  // Set when the account was deleted and its personal data anonymised
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  // Access tokens issued before this moment are rejected
+  passwordChangedAt: {
+    type: Date,
+    default: null,
+  },
+  // Brute-force protection
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null,
+  },
+  lockUntil: {
+    type: Date,
+    default: null,
+  },
+  // SHA-256 hash of the single-use email verification token
+  emailVerificationToken: {
+    type: String,
+    select: false,
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false,
+  },
+  // SHA-256 hash of the single-use password reset token
+  passwordResetToken: {
+    type: String,
+    select: false,
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false,
+  },
 }, {
   timestamps: true,
 });
 
+// A verified phone number can only belong to one account
+userSchema.index(
+  { phone: 1 },
+  { unique: true, partialFilterExpression: { phoneVerified: true } },
+);
+
+// A provider identity can only be linked to one account
+userSchema.index(
+  { "oauthAccounts.provider": 1, "oauthAccounts.subject": 1 },
+  { unique: true, partialFilterExpression: { "oauthAccounts.subject": { $exists: true } } },
+);
+
+// Virtual to check if login is temporarily locked
+userSchema.virtual("isLocked").get(function() {
+  return !!(this.lockUntil && this.lockUntil > new Date());
+});
+
+// Ensure virtuals are included in JSON
+userSchema.set("toJSON", { virtuals: true });
+
+// Default saved address, falling back to the first one
+userSchema.methods.getDefaultAddress = function() {
+  if (!this.addresses || this.addresses.length === 0) {
+    return null;
+  }
+  return this.addresses.find((address) => address.isDefault) || this.addresses[0];
+};
+
+// Strip personal data from a deleted account. The document itself is kept
+// so that orders still reference a user. Caller saves.
+userSchema.methods.anonymize = function() {
+  this.name = "Deleted User";
+  this.email = `deleted-${this._id}@deleted.invalid`;
+  this.emailVerified = false;
+  this.phone = undefined;
+  this.phoneVerified = false;
+  this.profilePhoto = null;
+  this.address = undefined;
+  this.addresses = [];
+  this.oauthAccounts = [];
+  // Random unknown password so the account can never be logged into again
+  this.password = crypto.randomBytes(32).toString("hex");
+  this.twoFactor = { enabled: false, enabledAt: null };
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+  this.deletedAt = new Date();
+};
+
 // Hash password before saving
 userSchema.pre("save", async function(next) {
   if (!this.isModified("password")) {
     return next();
   }
-  this.password = await bcrypt.hash(this.password, 12);
+  // The password may also be removed, e.g. when a social login takes over an unverified account
+  if (this.password) {
+    this.password = await bcrypt.hash(this.password, 12);
+  }
+  if (!this.isNew) {
+    // JWT "iat" has one second precision, so step back a second to keep
+    // tokens issued right after the change valid
+    this.passwordChangedAt = new Date(Date.now() - 1000);
+  }
   next();
 });
 
+// Check whether the password was changed after a token was issued (iat in seconds)
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+  return issuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) {
+    return false;
+  }
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
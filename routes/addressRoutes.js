@@ -0,0 +1,194 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+  setDefaultAddress,
+} = require("../controllers/addressController");
+const { protect } = require("../middleware/auth");
+const {
+  addAddressValidator,
+  updateAddressValidator,
+  addressIdValidator,
+} = require("../middleware/validator");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Address:
+ *       type: object
+ *       required:
+ *         - name
+ *         - phone
+ *         - street
+ *         - city
+ *         - state
+ *         - zipCode
+ *       properties:
+ *         _id:
+ *           type: string
+ *         label:
+ *           type: string
+ *           default: Home
+ *           example: Office
+ *         name:
+ *           type: string
+ *           description: Recipient name
+ *         phone:
+ *           type: string
+ *           description: 10 digit recipient phone
+ *         street:
+ *           type: string
+ *         city:
+ *           type: string
+ *         state:
+ *           type: string
+ *         zipCode:
+ *           type: string
+ *           description: 6 digit pincode
+ *         country:
+ *           type: string
+ *           default: India
+ *         isDefault:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/addresses:
+ *   get:
+ *     summary: Get saved addresses
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Addresses retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 addresses:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Address'
+ *       401:
+ *         description: Not authorized
+ */
+router.get("/", protect, getAddresses);
+
+/**
+ * @swagger
+ * /api/addresses:
+ *   post:
+ *     summary: Add a saved address
+ *     description: The first address becomes the default. Up to 10 addresses can be saved.
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Address'
+ *     responses:
+ *       201:
+ *         description: Address added successfully
+ *       400:
+ *         description: Validation error or address limit reached
+ *       401:
+ *         description: Not authorized
+ */
+router.post("/", protect, addAddressValidator, addAddress);
+
+/**
+ * @swagger
+ * /api/addresses/{addressId}:
+ *   put:
+ *     summary: Update a saved address
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Address'
+ *     responses:
+ *       200:
+ *         description: Address updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Address not found
+ */
+router.put("/:addressId", protect, updateAddressValidator, updateAddress);
+
+/**
+ * @swagger
+ * /api/addresses/{addressId}:
+ *   delete:
+ *     summary: Delete a saved address
+ *     description: If the default address is deleted, the first remaining address becomes the default.
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Address deleted successfully
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Address not found
+ */
+router.delete("/:addressId", protect, addressIdValidator, deleteAddress);
+
+/**
+ * @swagger
+ * /api/addresses/{addressId}/default:
+ *   put:
+ *     summary: Make a saved address the default
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Default address updated successfully
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Address not found
+ */
+router.put("/:addressId/default", protect, addressIdValidator, setDefaultAddress);
+
+module.exports = router;
@@ -4,6 +4,11 @@ const {
   getAllProducts,
   getAllOrders,
   getAllUsers,
+  getUserDetails,
+  blockUser,
+  unblockUser,
+  impersonateUser,
+  unlockUser,
   getStats,
 } = require("../controllers/adminController");
 const {
@@ -13,22 +18,68 @@ const {
   updateCoupon,
   deleteCoupon,
 } = require("../controllers/couponController");
-const { protect, authorize } = require("../middleware/auth");
+const {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  assignRole,
+} = require("../controllers/roleController");
+const { getAuditLogs } = require("../controllers/auditController");
+const {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+} = require("../controllers/apiKeyController");
+const {
+  getAllCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} = require("../controllers/categoryController");
+const {
+  getReviewsForModeration,
+  moderateReviews,
+} = require("../controllers/reviewController");
+const { uploadCatalogImages, cleanupUploads } = require("../controllers/uploadController");
+const { importProducts, exportProducts } = require("../controllers/productController");
+const { protect, protectWithApiKey, requirePermission } = require("../middleware/auth");
+const { uploadImages, uploadSpreadsheet } = require("../middleware/upload");
 const {
   paginationValidator,
+  userListValidator,
+  userIdValidator,
+  blockUserValidator,
+  impersonateUserValidator,
+  assignRoleValidator,
+  createRoleValidator,
+  updateRoleValidator,
+  roleIdValidator,
+  auditLogQueryValidator,
+  createApiKeyValidator,
+  apiKeyIdValidator,
   createCouponValidator,
   updateCouponValidator,
   couponIdValidator,
+  createCategoryValidator,
+  updateCategoryValidator,
+  categoryIdValidator,
+  moderationListValidator,
+  moderateReviewsValidator,
+  cleanupUploadsValidator,
+  importProductsValidator,
+  exportProductsValidator,
 } = require("../middleware/validator");
 
 /**
  * @swagger
  * /api/admin/products:
  *   get:
- *     summary: Get all products (Admin only)
+ *     summary: Get all products (requires products:read)
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -48,24 +99,215 @@ const {
  *       401:
  *         description: Not authorized
  *       403:
- *         description: Admin access required
+ *         description: Missing products:read permission
  */
 router.get(
   "/products",
-  protect,
-  authorize("admin"),
+  protectWithApiKey,
+  requirePermission("products:read"),
   paginationValidator,
   getAllProducts
 );
 
+/**
+ * @swagger
+ * /api/admin/products/export:
+ *   get:
+ *     summary: Export the whole catalogue, including inactive products (requires products:read)
+ *     description: One row per product followed by a row per variant, in the columns the import takes (id, sku, parentSku, parentId, name, variantLabel, description, category, price, discount, stock, quantity, images, isActive).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: The catalogue as a file download
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid format
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing products:read permission
+ */
+router.get(
+  "/products/export",
+  protectWithApiKey,
+  requirePermission("products:read"),
+  exportProductsValidator,
+  exportProducts
+);
+
+/**
+ * @swagger
+ * /api/admin/products/import:
+ *   post:
+ *     summary: Create and update products from a CSV or XLSX file (requires products:write)
+ *     description: |
+ *       Rows use the export columns; the first row names them. Product rows are matched by sku (or by id, e.g. to give a product its first SKU) and update that product, or create a new one. Rows with a parentSku or parentId are variants of the product with that SKU or ID and only use sku, parentSku, parentId, variantLabel, price, discount, stock and isActive. Empty cells keep the current value. category takes a category slug or ID and images takes URLs separated by |.
+ *
+ *       New products are checked with the rules of POST /api/products, changes with those of PUT /api/products/{id}. With dryRun=true nothing is saved and the response previews what would change. Otherwise nothing is imported unless every row is valid.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: string
+ *           enum: ["true", "false"]
+ *           default: "false"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: .csv or .xlsx file (first sheet), at most 10MB
+ *     responses:
+ *       200:
+ *         description: Import done, or previewed with dryRun
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 dryRun:
+ *                   type: boolean
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     rows:
+ *                       type: integer
+ *                     create:
+ *                       type: integer
+ *                     update:
+ *                       type: integer
+ *                     unchanged:
+ *                       type: integer
+ *                     errors:
+ *                       type: integer
+ *                       description: Rows with errors
+ *                     failed:
+ *                       type: integer
+ *                       description: Products that could not be saved because they changed during the import
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       rows:
+ *                         type: array
+ *                         description: Spreadsheet row numbers of the product and its variants
+ *                         items:
+ *                           type: integer
+ *                       action:
+ *                         type: string
+ *                         enum: [create, update, unchanged]
+ *                       sku:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       changes:
+ *                         type: object
+ *                         description: Changed fields before and after, for updates
+ *                 errors:
+ *                   type: array
+ *                   description: Only with dryRun
+ *                   items:
+ *                     $ref: '#/components/schemas/ImportRowError'
+ *                 failed:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       rows:
+ *                         type: array
+ *                         items:
+ *                           type: integer
+ *                       sku:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *       400:
+ *         description: Unreadable file, unknown columns, or rows with errors (nothing imported)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImportRowError'
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing products:write permission
+ * components:
+ *   schemas:
+ *     ImportRowError:
+ *       type: object
+ *       properties:
+ *         row:
+ *           type: integer
+ *           description: Spreadsheet row number (the header is row 1)
+ *         sku:
+ *           type: string
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               message:
+ *                 type: string
+ */
+router.post(
+  "/products/import",
+  protect,
+  requirePermission("products:write"),
+  importProductsValidator,
+  uploadSpreadsheet("file"),
+  importProducts
+);
+
 /**
  * @swagger
  * /api/admin/orders:
  *   get:
- *     summary: Get all orders (Admin only)
+ *     summary: Get all orders (requires orders:read)
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: status
@@ -91,12 +333,12 @@ router.get(
  *       401:
  *         description: Not authorized
  *       403:
- *         description: Admin access required
+ *         description: Missing orders:read permission
  */
 router.get(
   "/orders",
-  protect,
-  authorize("admin"),
+  protectWithApiKey,
+  requirePermission("orders:read"),
   paginationValidator,
   getAllOrders
 );
@@ -105,12 +347,34 @@ router.get(
  * @swagger
  * /api/admin/users:
  *   get:
- *     summary: Get all users (Admin only)
+ *     summary: Get all users (requires users:read)
+ *     description: Each user includes failedLoginAttempts, lockUntil, isLocked, blockedAt and blockReason.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive match on name, email or phone
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Filter by role name
+ *       - in: query
+ *         name: blocked
+ *         schema:
+ *           type: boolean
+ *         description: Only blocked (true) or not blocked (false) users
+ *       - in: query
+ *         name: locked
+ *         schema:
+ *           type: boolean
+ *         description: Only users currently locked out by failed logins
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -128,27 +392,35 @@ router.get(
  *       401:
  *         description: Not authorized
  *       403:
- *         description: Admin access required
+ *         description: Missing users:read permission
  */
 router.get(
   "/users",
-  protect,
-  authorize("admin"),
-  paginationValidator,
+  protectWithApiKey,
+  requirePermission("users:read"),
+  userListValidator,
   getAllUsers
 );
 
 /**
  * @swagger
- * /api/admin/stats:
+ * /api/admin/users/{id}:
  *   get:
- *     summary: Get dashboard statistics (Admin only)
+ *     summary: Get a user with their orders, spend and cart (requires users:read)
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
  *     responses:
  *       200:
- *         description: Statistics retrieved successfully
+ *         description: User retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -156,138 +428,101 @@ router.get(
  *               properties:
  *                 success:
  *                   type: boolean
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
  *                 stats:
  *                   type: object
  *                   properties:
- *                     totalUsers:
- *                       type: number
- *                     totalProducts:
+ *                     orderCount:
+ *                       type: integer
+ *                     totalSpent:
  *                       type: number
- *                     totalOrders:
- *                       type: number
- *                     revenue:
+ *                       description: Total of all orders that were not cancelled
+ *                     paidAmount:
  *                       type: number
- *                     ordersByStatus:
+ *                     lastOrderAt:
+ *                       type: string
+ *                       format: date-time
+ *                 orders:
+ *                   type: array
+ *                   description: Latest 20 orders
+ *                   items:
+ *                     type: object
+ *                 cart:
+ *                   type: object
+ *                   properties:
+ *                     items:
  *                       type: array
+ *                       items:
+ *                         type: object
+ *                     total:
+ *                       type: number
+ *                     itemCount:
+ *                       type: integer
  *       401:
  *         description: Not authorized
  *       403:
- *         description: Admin access required
- */
-router.get("/stats", protect, authorize("admin"), getStats);
-
-/**
- * @swagger
- * components:
- *   schemas:
- *     Coupon:
- *       type: object
- *       required:
- *         - code
- *         - discountPercentage
- *       properties:
- *         id:
- *           type: string
- *           description: Auto-generated coupon ID
- *         code:
- *           type: string
- *           description: Unique coupon code (uppercase)
- *         discountPercentage:
- *           type: number
- *           description: Discount percentage (0-100)
- *         description:
- *           type: string
- *           description: Coupon description
- *         isActive:
- *           type: boolean
- *           default: true
- *           description: Whether the coupon is active
- *         expiryDate:
- *           type: string
- *           format: date-time
- *           description: Expiry date of the coupon
- *         usageLimit:
- *           type: number
- *           description: Maximum number of times the coupon can be used
- *         usedCount:
- *           type: number
- *           default: 0
- *           description: Number of times the coupon has been used
- *         minPurchaseAmount:
- *           type: number
- *           default: 0
- *           description: Minimum purchase amount required to use the coupon
- *         isValid:
- *           type: boolean
- *           description: Virtual field indicating if coupon is valid
+ *         description: Missing users:read permission
+ *       404:
+ *         description: User not found
  */
+router.get(
+  "/users/:id",
+  protectWithApiKey,
+  requirePermission("users:read"),
+  userIdValidator,
+  getUserDetails
+);
 
 /**
  * @swagger
- * /api/admin/coupons:
- *   get:
- *     summary: Get all coupons (Admin only)
+ * /api/admin/users/{id}/block:
+ *   put:
+ *     summary: Block a user (requires users:manage)
+ *     description: Ends all sessions of the user and closes their socket connections. Their tokens are rejected and they cannot log in until unblocked.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Page number
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: Items per page
- *       - in: query
- *         name: isActive
+ *       - in: path
+ *         name: id
+ *         required: true
  *         schema:
- *           type: boolean
- *         description: Filter by active status
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Coupons retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 count:
- *                   type: integer
- *                 total:
- *                   type: integer
- *                 page:
- *                   type: integer
- *                 pages:
- *                   type: integer
- *                 coupons:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Coupon'
+ *         description: User blocked successfully
+ *       400:
+ *         description: Validation error, user already blocked, or blocking yourself
  *       401:
  *         description: Not authorized
  *       403:
- *         description: Admin access required
+ *         description: Missing users:manage permission, or the user has permissions you do not have
+ *       404:
+ *         description: User not found
  */
-router.get(
-  "/coupons",
+router.put(
+  "/users/:id/block",
   protect,
-  authorize("admin"),
-  paginationValidator,
-  getAllCoupons
+  requirePermission("users:manage"),
+  blockUserValidator,
+  blockUser
 );
 
 /**
  * @swagger
- * /api/admin/coupons/{id}:
- *   get:
- *     summary: Get single coupon by ID (Admin only)
+ * /api/admin/users/{id}/unblock:
+ *   put:
+ *     summary: Unblock a user (requires users:manage)
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -297,39 +532,1084 @@ router.get(
  *         required: true
  *         schema:
  *           type: string
- *         description: Coupon ID
+ *         description: User ID
  *     responses:
  *       200:
- *         description: Coupon retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 coupon:
- *                   $ref: '#/components/schemas/Coupon'
+ *         description: User unblocked successfully
+ *       400:
+ *         description: User is not blocked
  *       401:
  *         description: Not authorized
  *       403:
- *         description: Admin access required
+ *         description: Missing users:manage permission
  *       404:
- *         description: Coupon not found
+ *         description: User not found
  */
-router.get(
-  "/coupons/:id",
+router.put(
+  "/users/:id/unblock",
   protect,
-  authorize("admin"),
-  couponIdValidator,
-  getCoupon
+  requirePermission("users:manage"),
+  userIdValidator,
+  unblockUser
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/impersonate:
+ *   post:
+ *     summary: Get a read-only token to see the shop as a customer (requires users:impersonate)
+ *     description: The token expires after IMPERSONATION_EXPIRE_MINUTES (default 15) and ends when the staff member logs out. Only GET requests are allowed with it, responses carry an X-Impersonated-By header, and every request is written to the audit log. Staff accounts cannot be impersonated.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Customer reports wrong cart total
+ *     responses:
+ *       200:
+ *         description: Impersonation token created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 impersonation:
+ *                   type: boolean
+ *                 readOnly:
+ *                   type: boolean
+ *                 token:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                 user:
+ *                   type: object
+ *       400:
+ *         description: Validation error or user is blocked
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing users:impersonate permission, or the user is staff
+ *       404:
+ *         description: User not found
+ */
+router.post(
+  "/users/:id/impersonate",
+  protect,
+  requirePermission("users:impersonate"),
+  impersonateUserValidator,
+  impersonateUser
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/unlock:
+ *   put:
+ *     summary: Unlock a user locked out by failed logins (requires users:manage)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User unlocked successfully
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing users:manage permission
+ *       404:
+ *         description: User not found
+ */
+router.put(
+  "/users/:id/unlock",
+  protect,
+  requirePermission("users:manage"),
+  userIdValidator,
+  unlockUser
+);
+
+/**
+ * @swagger
+ * /api/admin/stats:
+ *   get:
+ *     summary: Get dashboard statistics (requires stats:read)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Statistics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 stats:
+ *                   type: object
+ *                   properties:
+ *                     totalUsers:
+ *                       type: number
+ *                     totalProducts:
+ *                       type: number
+ *                     totalOrders:
+ *                       type: number
+ *                     revenue:
+ *                       type: number
+ *                     ordersByStatus:
+ *                       type: array
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing stats:read permission
+ */
+/**
+ * @swagger
+ * /api/admin/users/{id}/role:
+ *   put:
+ *     summary: Assign a role to a user (requires roles:manage)
+ *     description: Roles carrying permissions the caller does not have cannot be assigned or removed, and callers cannot change their own role.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 example: packer
+ *     responses:
+ *       200:
+ *         description: Role assigned successfully
+ *       400:
+ *         description: Validation error, unknown role or own account
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing roles:manage permission or role exceeds own permissions
+ *       404:
+ *         description: User not found
+ */
+router.put(
+  "/users/:id/role",
+  protect,
+  requirePermission("roles:manage"),
+  assignRoleValidator,
+  assignRole
+);
+
+router.get("/stats", protectWithApiKey, requirePermission("stats:read"), getStats);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Only set for custom roles
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Permission strings, "*" grants everything (built-in owner and admin only)
+ *         builtIn:
+ *           type: boolean
+ *         userCount:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /api/admin/roles:
+ *   get:
+ *     summary: Get all built-in and custom roles (requires roles:manage)
+ *     tags: [Admin - Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 permissions:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 roles:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Role'
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing roles:manage permission
+ */
+router.get("/roles", protect, requirePermission("roles:manage"), getRoles);
+
+/**
+ * @swagger
+ * /api/admin/roles:
+ *   post:
+ *     summary: Create a custom role (requires roles:manage)
+ *     tags: [Admin - Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: warehouse_lead
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["orders:read", "orders:update_status"]
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Validation error or role already exists
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing roles:manage permission or permissions exceed own
+ */
+router.post(
+  "/roles",
+  protect,
+  requirePermission("roles:manage"),
+  createRoleValidator,
+  createRole
+);
+
+/**
+ * @swagger
+ * /api/admin/roles/{id}:
+ *   put:
+ *     summary: Update a custom role (requires roles:manage)
+ *     description: The role name cannot be changed. Built-in roles cannot be edited.
+ *     tags: [Admin - Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing roles:manage permission or permissions exceed own
+ *       404:
+ *         description: Role not found
+ */
+router.put(
+  "/roles/:id",
+  protect,
+  requirePermission("roles:manage"),
+  updateRoleValidator,
+  updateRole
+);
+
+/**
+ * @swagger
+ * /api/admin/roles/{id}:
+ *   delete:
+ *     summary: Delete a custom role that no user has (requires roles:manage)
+ *     tags: [Admin - Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role ID
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       400:
+ *         description: Role is still assigned to users
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing roles:manage permission
+ *       404:
+ *         description: Role not found
+ */
+router.delete(
+  "/roles/:id",
+  protect,
+  requirePermission("roles:manage"),
+  roleIdValidator,
+  deleteRole
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         actor:
+ *           type: object
+ *           description: User who performed the action (null for API keys and anonymous events)
+ *         apiKey:
+ *           type: object
+ *           description: API key used, if any
+ *         action:
+ *           type: string
+ *           example: product.update
+ *         entityType:
+ *           type: string
+ *           example: Product
+ *         entityId:
+ *           type: string
+ *         changes:
+ *           type: object
+ *           description: Changed fields only. before is null on create, after is null on delete.
+ *           properties:
+ *             before:
+ *               type: object
+ *             after:
+ *               type: object
+ *         ip:
+ *           type: string
+ *         requestId:
+ *           type: string
+ *           description: Same as the X-Request-Id response header of the request
+ *         metadata:
+ *           type: object
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/audit:
+ *   get:
+ *     summary: Get the audit log, newest first (requires audit:read)
+ *     description: Every admin change (products, coupons, order status, users, roles, API keys) and security event is recorded. Entries cannot be changed or deleted.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: User ID of the actor
+ *       - in: query
+ *         name: apiKey
+ *         schema:
+ *           type: string
+ *         description: API key ID
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Exact action, or a prefix such as product.* for all product actions
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *         description: e.g. Product, Order, Coupon, User, Role, ApiKey
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Audit log entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 pages:
+ *                   type: integer
+ *                 logs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLog'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing audit:read permission
+ */
+router.get(
+  "/audit",
+  protect,
+  requirePermission("audit:read"),
+  auditLogQueryValidator,
+  getAuditLogs
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: Accounting export
+ *         prefix:
+ *           type: string
+ *           description: First characters of the key
+ *           example: kpk_1a2b3c4d
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *         createdBy:
+ *           type: object
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedIp:
+ *           type: string
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/admin/api-keys:
+ *   get:
+ *     summary: Get all API keys (requires api_keys:manage)
+ *     tags: [Admin - API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 apiKeys:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing api_keys:manage permission
+ */
+router.get("/api-keys", protect, requirePermission("api_keys:manage"), getApiKeys);
+
+/**
+ * @swagger
+ * /api/admin/api-keys:
+ *   post:
+ *     summary: Create an API key (requires api_keys:manage)
+ *     description: The key is only returned in this response. Integrations send it in the X-API-Key header; it is accepted by the admin read endpoints and the order status update, limited to the key's permissions.
+ *     tags: [Admin - API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - permissions
+ *               - expiresAt
+ *             properties:
+ *               name:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["orders:read"]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: At most one year from now
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 key:
+ *                   type: string
+ *                 apiKey:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing api_keys:manage permission, or granting permissions you do not have
+ */
+router.post(
+  "/api-keys",
+  protect,
+  requirePermission("api_keys:manage"),
+  createApiKeyValidator,
+  createApiKey
+);
+
+/**
+ * @swagger
+ * /api/admin/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key (requires api_keys:manage)
+ *     tags: [Admin - API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked successfully
+ *       400:
+ *         description: API key is already revoked
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing api_keys:manage permission
+ *       404:
+ *         description: API key not found
+ */
+router.delete(
+  "/api-keys/:id",
+  protect,
+  requirePermission("api_keys:manage"),
+  apiKeyIdValidator,
+  revokeApiKey
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Coupon:
+ *       type: object
+ *       required:
+ *         - code
+ *         - discountPercentage
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Auto-generated coupon ID
+ *         code:
+ *           type: string
+ *           description: Unique coupon code (uppercase)
+ *         discountPercentage:
+ *           type: number
+ *           description: Discount percentage (0-100)
+ *         description:
+ *           type: string
+ *           description: Coupon description
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *           description: Whether the coupon is active
+ *         expiryDate:
+ *           type: string
+ *           format: date-time
+ *           description: Expiry date of the coupon
+ *         usageLimit:
+ *           type: number
+ *           description: Maximum number of times the coupon can be used
+ *         usedCount:
+ *           type: number
+ *           default: 0
+ *           description: Number of times the coupon has been used
+ *         minPurchaseAmount:
+ *           type: number
+ *           default: 0
+ *           description: Minimum purchase amount required to use the coupon
+ *         isValid:
+ *           type: boolean
+ *           description: Virtual field indicating if coupon is valid
+ */
+
+/**
+ * @swagger
+ * /api/admin/coupons:
+ *   get:
+ *     summary: Get all coupons (requires coupons:read)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Items per page
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *     responses:
+ *       200:
+ *         description: Coupons retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 pages:
+ *                   type: integer
+ *                 coupons:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Coupon'
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing coupons:read permission
+ */
+router.get(
+  "/coupons",
+  protectWithApiKey,
+  requirePermission("coupons:read"),
+  paginationValidator,
+  getAllCoupons
+);
+
+/**
+ * @swagger
+ * /api/admin/coupons/{id}:
+ *   get:
+ *     summary: Get single coupon by ID (requires coupons:read)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Coupon ID
+ *     responses:
+ *       200:
+ *         description: Coupon retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 coupon:
+ *                   $ref: '#/components/schemas/Coupon'
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing coupons:read permission
+ *       404:
+ *         description: Coupon not found
+ */
+router.get(
+  "/coupons/:id",
+  protectWithApiKey,
+  requirePermission("coupons:read"),
+  couponIdValidator,
+  getCoupon
 );
 
 /**
  * @swagger
  * /api/admin/coupons:
  *   post:
- *     summary: Create a new coupon (Admin only)
+ *     summary: Create a new coupon (requires coupons:write)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - discountPercentage
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Unique coupon code (will be converted to uppercase)
+ *               discountPercentage:
+ *                 type: number
+ *                 description: Discount percentage (0-100)
+ *               description:
+ *                 type: string
+ *                 description: Coupon description
+ *               isActive:
+ *                 type: boolean
+ *                 default: true
+ *               expiryDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Expiry date of the coupon
+ *               usageLimit:
+ *                 type: number
+ *                 description: Maximum number of times the coupon can be used
+ *               minPurchaseAmount:
+ *                 type: number
+ *                 default: 0
+ *                 description: Minimum purchase amount required
+ *     responses:
+ *       201:
+ *         description: Coupon created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 coupon:
+ *                   $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Validation error or coupon code already exists
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing coupons:write permission
+ */
+router.post(
+  "/coupons",
+  protect,
+  requirePermission("coupons:write"),
+  createCouponValidator,
+  createCoupon
+);
+
+/**
+ * @swagger
+ * /api/admin/coupons/{id}:
+ *   put:
+ *     summary: Update a coupon (requires coupons:write)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Coupon ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Coupon code (will be converted to uppercase)
+ *               discountPercentage:
+ *                 type: number
+ *                 description: Discount percentage (0-100)
+ *               description:
+ *                 type: string
+ *                 description: Coupon description
+ *               isActive:
+ *                 type: boolean
+ *               expiryDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Expiry date of the coupon
+ *               usageLimit:
+ *                 type: number
+ *                 description: Maximum number of times the coupon can be used
+ *               minPurchaseAmount:
+ *                 type: number
+ *                 description: Minimum purchase amount required
+ *     responses:
+ *       200:
+ *         description: Coupon updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 coupon:
+ *                   $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Validation error or coupon code already exists
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing coupons:write permission
+ *       404:
+ *         description: Coupon not found
+ */
+router.put(
+  "/coupons/:id",
+  protect,
+  requirePermission("coupons:write"),
+  couponIdValidator,
+  updateCouponValidator,
+  updateCoupon
+);
+
+/**
+ * @swagger
+ * /api/admin/coupons/{id}:
+ *   delete:
+ *     summary: Delete a coupon (requires coupons:write)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Coupon ID
+ *     responses:
+ *       200:
+ *         description: Coupon deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing coupons:write permission
+ *       404:
+ *         description: Coupon not found
+ */
+router.delete(
+  "/coupons/:id",
+  protect,
+  requirePermission("coupons:write"),
+  couponIdValidator,
+  deleteCoupon
+);
+
+/**
+ * @swagger
+ * /api/admin/categories:
+ *   get:
+ *     summary: Get all categories, including inactive ones, with product counts (requires products:read)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Categories retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 categories:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Category'
+ *                       - type: object
+ *                         properties:
+ *                           productCount:
+ *                             type: integer
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing products:read permission
+ */
+router.get(
+  "/categories",
+  protectWithApiKey,
+  requirePermission("products:read"),
+  getAllCategories
+);
+
+/**
+ * @swagger
+ * /api/admin/categories:
+ *   post:
+ *     summary: Create a category (requires products:write)
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -340,35 +1620,27 @@ router.get(
  *           schema:
  *             type: object
  *             required:
- *               - code
- *               - discountPercentage
+ *               - name
  *             properties:
- *               code:
+ *               name:
  *                 type: string
- *                 description: Unique coupon code (will be converted to uppercase)
- *               discountPercentage:
- *                 type: number
- *                 description: Discount percentage (0-100)
- *               description:
+ *               slug:
  *                 type: string
- *                 description: Coupon description
+ *                 description: Lower-case letters, digits and dashes. Derived from the name when omitted.
+ *               parent:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Parent category ID, omit for a top-level category
+ *               image:
+ *                 type: string
+ *                 description: Image URL
+ *               sortOrder:
+ *                 type: integer
  *               isActive:
  *                 type: boolean
- *                 default: true
- *               expiryDate:
- *                 type: string
- *                 format: date-time
- *                 description: Expiry date of the coupon
- *               usageLimit:
- *                 type: number
- *                 description: Maximum number of times the coupon can be used
- *               minPurchaseAmount:
- *                 type: number
- *                 default: 0
- *                 description: Minimum purchase amount required
  *     responses:
  *       201:
- *         description: Coupon created successfully
+ *         description: Category created successfully
  *         content:
  *           application/json:
  *             schema:
@@ -376,28 +1648,29 @@ router.get(
  *               properties:
  *                 success:
  *                   type: boolean
- *                 coupon:
- *                   $ref: '#/components/schemas/Coupon'
+ *                 category:
+ *                   $ref: '#/components/schemas/Category'
  *       400:
- *         description: Validation error or coupon code already exists
+ *         description: Validation error, parent not found or slug already exists
  *       401:
  *         description: Not authorized
  *       403:
- *         description: Admin access required
+ *         description: Missing products:write permission
  */
 router.post(
-  "/coupons",
+  "/categories",
   protect,
-  authorize("admin"),
-  createCouponValidator,
-  createCoupon
+  requirePermission("products:write"),
+  createCategoryValidator,
+  createCategory
 );
 
 /**
  * @swagger
- * /api/admin/coupons/{id}:
+ * /api/admin/categories/{id}:
  *   put:
- *     summary: Update a coupon (Admin only)
+ *     summary: Update or move a category (requires products:write)
+ *     description: Changing the parent moves the category together with all its subcategories.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -407,7 +1680,7 @@ router.post(
  *         required: true
  *         schema:
  *           type: string
- *         description: Coupon ID
+ *         description: Category ID
  *     requestBody:
  *       required: true
  *       content:
@@ -415,30 +1688,25 @@ router.post(
  *           schema:
  *             type: object
  *             properties:
- *               code:
+ *               name:
  *                 type: string
- *                 description: Coupon code (will be converted to uppercase)
- *               discountPercentage:
- *                 type: number
- *                 description: Discount percentage (0-100)
- *               description:
+ *               slug:
  *                 type: string
- *                 description: Coupon description
+ *                 description: Lower-case letters, digits and dashes. Derived from the name when omitted.
+ *               parent:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Parent category ID, null to make it a top-level category
+ *               image:
+ *                 type: string
+ *                 description: Image URL
+ *               sortOrder:
+ *                 type: integer
  *               isActive:
  *                 type: boolean
- *               expiryDate:
- *                 type: string
- *                 format: date-time
- *                 description: Expiry date of the coupon
- *               usageLimit:
- *                 type: number
- *                 description: Maximum number of times the coupon can be used
- *               minPurchaseAmount:
- *                 type: number
- *                 description: Minimum purchase amount required
  *     responses:
  *       200:
- *         description: Coupon updated successfully
+ *         description: Category updated successfully
  *         content:
  *           application/json:
  *             schema:
@@ -446,31 +1714,30 @@ router.post(
  *               properties:
  *                 success:
  *                   type: boolean
- *                 coupon:
- *                   $ref: '#/components/schemas/Coupon'
+ *                 category:
+ *                   $ref: '#/components/schemas/Category'
  *       400:
- *         description: Validation error or coupon code already exists
+ *         description: Validation error, parent not found, move into its own subtree or slug already exists
  *       401:
  *         description: Not authorized
  *       403:
- *         description: Admin access required
+ *         description: Missing products:write permission
  *       404:
- *         description: Coupon not found
+ *         description: Category not found
  */
 router.put(
-  "/coupons/:id",
+  "/categories/:id",
   protect,
-  authorize("admin"),
-  couponIdValidator,
-  updateCouponValidator,
-  updateCoupon
+  requirePermission("products:write"),
+  updateCategoryValidator,
+  updateCategory
 );
 
 /**
  * @swagger
- * /api/admin/coupons/{id}:
+ * /api/admin/categories/{id}:
  *   delete:
- *     summary: Delete a coupon (Admin only)
+ *     summary: Delete a category without subcategories or products (requires products:write)
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -480,10 +1747,10 @@ router.put(
  *         required: true
  *         schema:
  *           type: string
- *         description: Coupon ID
+ *         description: Category ID
  *     responses:
  *       200:
- *         description: Coupon deleted successfully
+ *         description: Category deleted successfully
  *         content:
  *           application/json:
  *             schema:
@@ -493,19 +1760,304 @@ router.put(
  *                   type: boolean
  *                 message:
  *                   type: string
+ *       400:
+ *         description: Category still has subcategories or products
  *       401:
  *         description: Not authorized
  *       403:
- *         description: Admin access required
+ *         description: Missing products:write permission
  *       404:
- *         description: Coupon not found
+ *         description: Category not found
  */
 router.delete(
-  "/coupons/:id",
+  "/categories/:id",
   protect,
-  authorize("admin"),
-  couponIdValidator,
-  deleteCoupon
+  requirePermission("products:write"),
+  categoryIdValidator,
+  deleteCategory
+);
+
+/**
+ * @swagger
+ * /api/admin/reviews:
+ *   get:
+ *     summary: Get the review moderation queue, most reported and oldest first (requires reviews:moderate)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, all]
+ *           default: pending
+ *       - in: query
+ *         name: reported
+ *         schema:
+ *           type: string
+ *           enum: ["true", "false"]
+ *         description: Only reviews reported by customers
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Reviews retrieved successfully, including heldReason, reports and moderation details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 pages:
+ *                   type: integer
+ *                 reviews:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Review'
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing reviews:moderate permission
+ */
+router.get(
+  "/reviews",
+  protect,
+  requirePermission("reviews:moderate"),
+  moderationListValidator,
+  getReviewsForModeration
+);
+
+/**
+ * @swagger
+ * /api/admin/reviews/moderate:
+ *   put:
+ *     summary: Approve or reject reviews in bulk (requires reviews:moderate)
+ *     description: Approving also clears the reports of a review. Product ratings are recalculated.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reviewIds
+ *               - action
+ *             properties:
+ *               reviewIds:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *               action:
+ *                 type: string
+ *                 enum: [approve, reject]
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Reviews moderated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 modified:
+ *                   type: integer
+ *                 notFound:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing reviews:moderate permission
+ */
+router.put(
+  "/reviews/moderate",
+  protect,
+  requirePermission("reviews:moderate"),
+  moderateReviewsValidator,
+  moderateReviews
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Upload:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         key:
+ *           type: string
+ *           description: Storage key of the original image
+ *         url:
+ *           type: string
+ *           description: Public URL of the original image
+ *         driver:
+ *           type: string
+ *           enum: [local, s3]
+ *         thumbnails:
+ *           type: array
+ *           description: WebP thumbnails, smallest first
+ *           items:
+ *             type: object
+ *             properties:
+ *               size:
+ *                 type: integer
+ *                 description: Largest side in pixels
+ *               key:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *         mimeType:
+ *           type: string
+ *         bytes:
+ *           type: integer
+ *         width:
+ *           type: integer
+ *         height:
+ *           type: integer
+ *         uploadedBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/uploads:
+ *   post:
+ *     summary: Upload catalog images to use as product or category images (requires products:write)
+ *     description: Each image is stored with WebP thumbnails of 150, 300 and 600 pixels. Use the returned URLs in a product's images or a category's image; uploads that are not used within the grace period are removed by the cleanup.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - images
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Images uploaded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 uploads:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Upload'
+ *       400:
+ *         description: No images, too many or too large, or not a JPEG, PNG or WebP image
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing products:write permission
+ */
+router.post(
+  "/uploads",
+  protect,
+  requirePermission("products:write"),
+  uploadImages("images", 10),
+  uploadCatalogImages
+);
+
+/**
+ * @swagger
+ * /api/admin/uploads/cleanup:
+ *   post:
+ *     summary: Remove uploaded images that no product, category or user refers to (requires products:write)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               olderThanHours:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Only remove uploads older than this. Defaults to UPLOAD_ORPHAN_GRACE_HOURS (24).
+ *     responses:
+ *       200:
+ *         description: Cleanup finished
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 checked:
+ *                   type: integer
+ *                   description: Uploads older than the grace period
+ *                 removed:
+ *                   type: integer
+ *                   description: Unused uploads removed with their files
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing products:write permission
+ */
+router.post(
+  "/uploads/cleanup",
+  protect,
+  requirePermission("products:write"),
+  cleanupUploadsValidator,
+  cleanupUploads
 );
 
 module.exports = router;
@@ -3,17 +3,58 @@ const router = express.Router();
 const {
   register,
   login,
+  requestLoginOtp,
+  verifyLoginOtp,
+  requestPhoneVerification,
+  verifyPhone,
+  getOidcProviders,
+  startOidcLogin,
+  oidcCallback,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeUserSession,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  changePassword,
   getProfile,
   updateProfile,
   getCompleteProfile,
   updateProfilePhoto,
+  uploadProfilePhoto,
+  exportMyData,
+  deleteMyAccount,
 } = require("../controllers/authController");
-const { protect } = require("../middleware/auth");
+const { protect, protectTwoFactorSetup } = require("../middleware/auth");
+const { uploadImages } = require("../middleware/upload");
 const {
   registerValidator,
   loginValidator,
+  requestOtpValidator,
+  verifyOtpValidator,
+  verifyPhoneValidator,
+  oidcProviderValidator,
+  oidcCallbackValidator,
+  twoFactorLoginValidator,
+  twoFactorCodeValidator,
+  disableTwoFactorValidator,
+  refreshTokenValidator,
+  logoutValidator,
+  sessionIdValidator,
+  verifyEmailValidator,
+  forgotPasswordValidator,
+  resetPasswordValidator,
+  changePasswordValidator,
   updateProfileValidator,
   updateProfilePhotoValidator,
+  deleteAccountValidator,
 } = require("../middleware/validator");
 
 /**
@@ -37,13 +78,19 @@ const {
  *           type: string
  *           format: email
  *           description: User's email address
+ *         emailVerified:
+ *           type: boolean
+ *           description: Whether the user has confirmed their email address
  *         role:
  *           type: string
- *           enum: [user, admin]
  *           default: user
+ *           description: Built-in role (user, owner, admin, catalog_manager, packer, delivery, support) or a custom role name
  *         phone:
  *           type: string
- *           description: User's phone number
+ *           description: User's 10 digit phone number
+ *         phoneVerified:
+ *           type: boolean
+ *           description: Whether the phone number has been confirmed by SMS code
  *         profilePhoto:
  *           type: string
  *           format: uri
@@ -61,6 +108,20 @@ const {
  *               type: string
  *             country:
  *               type: string
+ *     TwoFactorChallenge:
+ *       type: object
+ *       description: Returned instead of tokens when the login needs a second factor
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         twoFactorRequired:
+ *           type: boolean
+ *         twoFactorSetupRequired:
+ *           type: boolean
+ *           description: True for admins who have not enrolled yet - call /api/auth/2fa/setup and /api/auth/2fa/enable with the twoFactorToken
+ *         twoFactorToken:
+ *           type: string
+ *           description: Valid for 5 minutes
  *     AuthResponse:
  *       type: object
  *       properties:
@@ -68,15 +129,545 @@ const {
  *           type: boolean
  *         token:
  *           type: string
+ *           description: Short-lived access token (Bearer)
+ *         refreshToken:
+ *           type: string
+ *           description: Long-lived refresh token, rotated on every use
  *         user:
  *           $ref: '#/components/schemas/User'
  */
 
 /**
  * @swagger
- * /api/auth/register:
+ * /api/auth/register:
+ *   post:
+ *     summary: Register a new user
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - email
+ *               - password
+ *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *               phone:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: User registered successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation error or user already exists
+ */
+router.post("/register", registerValidator, register);
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Login user
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, or a two-factor challenge for admins and users with 2FA enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallenge'
+ *       401:
+ *         description: Invalid credentials
+ *       429:
+ *         description: Too many failed attempts (progressive delay, account lock or IP limit), see Retry-After
+ */
+router.post("/login", loginValidator, login);
+
+/**
+ * @swagger
+ * /api/auth/oidc/providers:
+ *   get:
+ *     summary: List the configured social login providers (OpenID Connect)
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Providers to show login buttons for
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 providers:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: google
+ *                       label:
+ *                         type: string
+ *                         example: Google
+ */
+router.get("/oidc/providers", getOidcProviders);
+
+/**
+ * @swagger
+ * /api/auth/oidc/{provider}/authorize:
+ *   get:
+ *     summary: Start a social login
+ *     description: Returns the provider URL to send the browser to (authorization code flow with PKCE). The provider redirects back to the frontend callback page with code and state, which the frontend posts to the callback endpoint. The request expires after 10 minutes.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Authorization URL created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 authorizationUrl:
+ *                   type: string
+ *                 state:
+ *                   type: string
+ *       404:
+ *         description: Login provider not found
+ *       502:
+ *         description: Login provider is unreachable
+ */
+router.get("/oidc/:provider/authorize", oidcProviderValidator, startOidcLogin);
+
+/**
+ * @swagger
+ * /api/auth/oidc/{provider}/callback:
+ *   post:
+ *     summary: Complete a social login
+ *     description: Exchanges the code, validates the ID token against the provider's JWKS and logs in the account linked to the provider identity. Otherwise the account with the same (provider-verified) email is linked, or a new account is created. Staff accounts still need their second factor.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - state
+ *             properties:
+ *               code:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, or a two-factor challenge
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallenge'
+ *       201:
+ *         description: Account created and logged in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Invalid or expired state, or no verified email
+ *       401:
+ *         description: Invalid ID token
+ *       404:
+ *         description: Login provider not found
+ *       502:
+ *         description: Login provider request failed
+ */
+router.post("/oidc/:provider/callback", oidcCallbackValidator, oidcCallback);
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete a login with a TOTP code or a recovery code
+ *     tags: [Two-Factor Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - twoFactorToken
+ *             properties:
+ *               twoFactorToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6 digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 description: One of the recovery codes, used instead of code
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation error or 2FA not set up
+ *       401:
+ *         description: Invalid code or expired two-factor token
+ *       429:
+ *         description: Too many failed attempts, see Retry-After
+ */
+router.post("/2fa/verify", twoFactorLoginValidator, verifyTwoFactorLogin);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns a new TOTP secret as otpauth URI and QR code. Authenticate with a Bearer token, or with the twoFactorToken of an admin login that requires setup.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               twoFactorToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Enrollment started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 secret:
+ *                   type: string
+ *                 otpauthUrl:
+ *                   type: string
+ *                 qrCode:
+ *                   type: string
+ *                   description: PNG data URL
+ *       400:
+ *         description: 2FA already enabled
+ *       401:
+ *         description: Not authorized
+ */
+router.post("/2fa/setup", protectTwoFactorSetup, setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm two-factor enrollment with a first code
+ *     description: Returns the recovery codes (shown only once). When authenticated with a twoFactorToken, the login is completed and tokens are returned too.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               twoFactorToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA enabled
+ *       400:
+ *         description: Validation error, already enabled or setup not started
+ *       401:
+ *         description: Invalid code or not authorized
+ */
+router.post(
+  "/2fa/enable",
+  protectTwoFactorSetup,
+  twoFactorCodeValidator,
+  enableTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication (not allowed for admins)
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       400:
+ *         description: Validation error or 2FA not enabled
+ *       401:
+ *         description: Invalid password or code
+ *       403:
+ *         description: 2FA is mandatory for admins
+ */
+router.post("/2fa/disable", protect, disableTwoFactorValidator, disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Validation error or 2FA not enabled
+ *       401:
+ *         description: Invalid code or not authorized
+ */
+router.post(
+  "/2fa/recovery-codes",
+  protect,
+  twoFactorCodeValidator,
+  regenerateRecoveryCodes
+);
+
+/**
+ * @swagger
+ * /api/auth/otp/request:
+ *   post:
+ *     summary: Send a login code by SMS
+ *     description: Codes expire after a few minutes. Requests are rate limited per phone number.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: "9876543210"
+ *     responses:
+ *       200:
+ *         description: Code sent
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Too many code requests, see Retry-After
+ */
+router.post("/otp/request", requestOtpValidator, requestLoginOtp);
+
+/**
+ * @swagger
+ * /api/auth/otp/verify:
+ *   post:
+ *     summary: Login or register with an SMS code
+ *     description: Logs in the account with this verified phone number. For an unknown number, name and email are required to create an account; without them the response has registrationRequired set and the same code can be sent again with the details.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *               - code
+ *             properties:
+ *               phone:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Login successful, or a two-factor challenge for admins and users with 2FA enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallenge'
+ *       201:
+ *         description: Account created and logged in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation error, registration details required or email already registered
+ *       401:
+ *         description: Invalid or expired code
+ */
+router.post("/otp/verify", verifyOtpValidator, verifyLoginOtp);
+
+/**
+ * @swagger
+ * /api/auth/phone/request-verification:
+ *   post:
+ *     summary: Send a code to verify a phone number for the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *             properties:
+ *               phone:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Code sent
+ *       400:
+ *         description: Validation error or phone registered to another account
+ *       401:
+ *         description: Not authorized
+ *       429:
+ *         description: Too many code requests, see Retry-After
+ */
+router.post(
+  "/phone/request-verification",
+  protect,
+  requestOtpValidator,
+  requestPhoneVerification
+);
+
+/**
+ * @swagger
+ * /api/auth/phone/verify:
+ *   post:
+ *     summary: Verify a phone number for the current user
+ *     description: Saves the phone number on the profile and marks it as verified.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *               - code
+ *             properties:
+ *               phone:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Phone number verified
+ *       400:
+ *         description: Validation error or phone registered to another account
+ *       401:
+ *         description: Invalid or expired code, or not authorized
+ */
+router.post("/phone/verify", protect, verifyPhoneValidator, verifyPhone);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
  *   post:
- *     summary: Register a new user
+ *     summary: Exchange a refresh token for a new access/refresh token pair
+ *     description: The refresh token is rotated - the one sent is no longer valid afterwards. Replaying an old refresh token revokes the whole session.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -85,37 +676,187 @@ const {
  *           schema:
  *             type: object
  *             required:
- *               - name
- *               - email
- *               - password
+ *               - refreshToken
  *             properties:
- *               name:
- *                 type: string
- *               email:
- *                 type: string
- *                 format: email
- *               password:
+ *               refreshToken:
  *                 type: string
- *                 minLength: 6
- *               phone:
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ */
+router.post("/refresh", refreshTokenValidator, refreshToken);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout and revoke the session of a refresh token
+ *     description: Access tokens of the revoked session stop working immediately. Set allDevices to revoke every session of the user.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
  *                 type: string
+ *               allDevices:
+ *                 type: boolean
+ *                 default: false
  *     responses:
- *       201:
- *         description: User registered successfully
+ *       200:
+ *         description: Logged out successfully
+ *       400:
+ *         description: Validation error
+ */
+router.post("/logout", logoutValidator, logout);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the devices the current user is logged in on
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       deviceName:
+ *                         type: string
+ *                         example: Chrome on Android
+ *                       userAgent:
+ *                         type: string
+ *                       ip:
+ *                         type: string
+ *                       lastSeenAt:
+ *                         type: string
+ *                         format: date-time
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                       expiresAt:
+ *                         type: string
+ *                         format: date-time
+ *                       current:
+ *                         type: boolean
+ *                         description: True for the session making this request
+ *       401:
+ *         description: Not authorized
+ */
+router.get("/sessions", protect, getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session (log out a device)
+ *     description: Access and refresh tokens of the session stop working immediately and its Socket.IO connections are closed.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
  *       400:
- *         description: Validation error or user already exists
+ *         description: Invalid session ID
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Session not found
  */
-router.post("/register", registerValidator, register);
+router.delete("/sessions/:id", protect, sessionIdValidator, revokeUserSession);
 
 /**
  * @swagger
- * /api/auth/login:
+ * /api/auth/verify-email:
  *   post:
- *     summary: Login user
+ *     summary: Verify email address using the token from the verification email
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Validation error or invalid/expired token
+ */
+router.post("/verify-email", verifyEmailValidator, verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/verify-email/resend:
+ *   post:
+ *     summary: Resend the email verification link
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email is already verified
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Email could not be sent
+ */
+router.post("/verify-email/resend", protect, resendVerificationEmail);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link by email
+ *     description: Always responds with success so that registered emails cannot be discovered.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -125,24 +866,92 @@ router.post("/register", registerValidator, register);
  *             type: object
  *             required:
  *               - email
- *               - password
  *             properties:
  *               email:
  *                 type: string
  *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Validation error
+ */
+router.post("/forgot-password", forgotPasswordValidator, forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     description: The token is single-use. All existing sessions of the user are logged out.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
  *               password:
  *                 type: string
+ *                 minLength: 6
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Password reset successfully
+ *       400:
+ *         description: Validation error or invalid/expired token
+ */
+router.post("/reset-password", resetPasswordValidator, resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/password:
+ *   put:
+ *     summary: Change password of the logged in user
+ *     description: All access tokens issued before the change stop working (REST and Socket.IO) and other sessions are logged out. A new access token for the current session is returned; its refresh token stays valid.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 token:
+ *                   type: string
+ *       400:
+ *         description: Validation error or no password set
  *       401:
- *         description: Invalid credentials
+ *         description: Current password is incorrect
  */
-router.post("/login", loginValidator, login);
+router.put("/password", protect, changePasswordValidator, changePassword);
 
 /**
  * @swagger
@@ -314,4 +1123,131 @@ router.get("/profile/complete", protect, getCompleteProfile);
  */
 router.put("/profile/photo", protect, updateProfilePhotoValidator, updateProfilePhoto);
 
+/**
+ * @swagger
+ * /api/auth/profile/photo:
+ *   post:
+ *     summary: Upload a profile photo
+ *     description: The photo is stored with square WebP thumbnails of 64, 128 and 256 pixels and replaces the current profile photo.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - photo
+ *             properties:
+ *               photo:
+ *                 type: string
+ *                 format: binary
+ *                 description: JPEG, PNG or WebP image
+ *     responses:
+ *       200:
+ *         description: Profile photo updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *                 upload:
+ *                   $ref: '#/components/schemas/Upload'
+ *       400:
+ *         description: No photo, too large, or not a JPEG, PNG or WebP image
+ *       401:
+ *         description: Not authorized
+ */
+router.post("/profile/photo", protect, uploadImages("photo", 1), uploadProfilePhoto);
+
+/**
+ * @swagger
+ * /api/auth/me/export:
+ *   get:
+ *     summary: Export all personal data of the current user
+ *     description: JSON archive of the profile, addresses, cart and all orders, sent as a file download.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Data archive
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     exportedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     profile:
+ *                       type: object
+ *                     address:
+ *                       type: object
+ *                     addresses:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Address'
+ *                     cart:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CartItem'
+ *                     orders:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Order'
+ *       401:
+ *         description: Not authorized
+ */
+router.get("/me/export", protect, exportMyData);
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   delete:
+ *     summary: Delete the current user's account
+ *     description: Personal data on the account is anonymised, the cart and reviews are deleted (product ratings are recalculated) and all sessions are logged out. Orders are kept for accounting. Staff accounts cannot delete themselves.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - confirm
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: Required unless the account was created by phone login
+ *               confirm:
+ *                 type: string
+ *                 enum: [DELETE]
+ *     responses:
+ *       200:
+ *         description: Account deleted
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Incorrect password or not authorized
+ *       403:
+ *         description: Staff accounts cannot be deleted this way
+ */
+router.delete("/me", protect, deleteAccountValidator, deleteMyAccount);
+
 module.exports = router;
@@ -23,6 +23,10 @@ const {
  *       properties:
  *         product:
  *           $ref: '#/components/schemas/Product'
+ *         variant:
+ *           type: string
+ *           nullable: true
+ *           description: ID of the chosen variant in product.variants
  *         quantity:
  *           type: number
  *     Cart:
@@ -85,6 +89,9 @@ router.get("/", protect, getCart);
  *             properties:
  *               productId:
  *                 type: string
+ *               variantId:
+ *                 type: string
+ *                 description: Variant to add. Required for products with variants; the same product in another variant is a separate cart item.
  *               quantity:
  *                 type: number
  *                 minimum: 1
@@ -101,7 +108,7 @@ router.get("/", protect, getCart);
  *                 cart:
  *                   $ref: '#/components/schemas/Cart'
  *       400:
- *         description: Validation error or insufficient stock
+ *         description: Validation error, missing or unknown variant, or insufficient stock
  *       401:
  *         description: Not authorized
  *       404:
@@ -0,0 +1,126 @@
+const express = require("express");
+const router = express.Router();
+const { getCategories, getCategory } = require("../controllers/categoryController");
+const { categoryLookupValidator } = require("../middleware/validator");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Category:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         slug:
+ *           type: string
+ *           description: Unique URL name, derived from the name unless given
+ *         parent:
+ *           type: string
+ *           nullable: true
+ *           description: Parent category ID, null for top-level categories
+ *         ancestors:
+ *           type: array
+ *           description: IDs of all parent categories, top-level first
+ *           items:
+ *             type: string
+ *         image:
+ *           type: string
+ *         sortOrder:
+ *           type: integer
+ *           default: 0
+ *           description: Position among its siblings, lowest first
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *           description: Inactive categories and everything below them are hidden from the shop
+ *     CategoryTreeNode:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Category'
+ *         - type: object
+ *           properties:
+ *             children:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CategoryTreeNode'
+ */
+
+/**
+ * @swagger
+ * /api/categories:
+ *   get:
+ *     summary: Get the tree of active categories
+ *     tags: [Categories]
+ *     responses:
+ *       200:
+ *         description: Category tree retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 categories:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CategoryTreeNode'
+ */
+router.get("/", getCategories);
+
+/**
+ * @swagger
+ * /api/categories/{idOrSlug}:
+ *   get:
+ *     summary: Get a category with its breadcrumb and subcategories
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: idOrSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category ID or slug
+ *     responses:
+ *       200:
+ *         description: Category retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 category:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Category'
+ *                     - type: object
+ *                       properties:
+ *                         ancestors:
+ *                           type: array
+ *                           description: Parent categories, top-level first
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               _id:
+ *                                 type: string
+ *                               name:
+ *                                 type: string
+ *                               slug:
+ *                                 type: string
+ *                         children:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: Invalid category ID or slug
+ *       404:
+ *         description: Category not found or inactive
+ */
+router.get("/:idOrSlug", categoryLookupValidator, getCategory);
+
+module.exports = router;
@@ -7,7 +7,12 @@ const {
   buyNow,
   updateOrderStatus,
 } = require("../controllers/orderController");
-const { protect, authorize } = require("../middleware/auth");
+const {
+  protect,
+  protectWithApiKey,
+  requirePermission,
+  requireVerifiedEmail,
+} = require("../middleware/auth");
 const {
   createOrderValidator,
   buyNowValidator,
@@ -27,6 +32,17 @@ const {
  *           type: string
  *         name:
  *           type: string
+ *         variant:
+ *           type: string
+ *           nullable: true
+ *           description: ID of the ordered variant
+ *         variantLabel:
+ *           type: string
+ *           nullable: true
+ *           description: Pack size at the time of ordering
+ *         sku:
+ *           type: string
+ *           nullable: true
  *         quantity:
  *           type: number
  *         price:
@@ -61,6 +77,12 @@ const {
  *         shippingAddress:
  *           type: object
  *           properties:
+ *             label:
+ *               type: string
+ *             name:
+ *               type: string
+ *             phone:
+ *               type: string
  *             street:
  *               type: string
  *             city:
@@ -194,6 +216,9 @@ router.get("/:id", protect, orderIdValidator, getOrder);
  *                     type: string
  *                   country:
  *                     type: string
+ *               addressId:
+ *                 type: string
+ *                 description: ID of a saved address to ship to (takes precedence over shippingAddress). Without either, the default saved address is used.
  *               couponCode:
  *                 type: string
  *                 description: Optional coupon code to apply
@@ -210,11 +235,13 @@ router.get("/:id", protect, orderIdValidator, getOrder);
  *                 order:
  *                   $ref: '#/components/schemas/Order'
  *       400:
- *         description: Cart is empty or insufficient stock
+ *         description: Cart is empty, insufficient stock or saved address not found
  *       401:
  *         description: Not authorized
+ *       403:
+ *         description: Email not verified (when REQUIRE_EMAIL_VERIFICATION is enabled)
  */
-router.post("/", protect, createOrderValidator, createOrder);
+router.post("/", protect, requireVerifiedEmail, createOrderValidator, createOrder);
 
 /**
  * @swagger
@@ -237,6 +264,9 @@ router.post("/", protect, createOrderValidator, createOrder);
  *               productId:
  *                 type: string
  *                 description: Product ID to purchase
+ *               variantId:
+ *                 type: string
+ *                 description: Variant to purchase, required for products with variants
  *               quantity:
  *                 type: integer
  *                 minimum: 1
@@ -254,6 +284,9 @@ router.post("/", protect, createOrderValidator, createOrder);
  *                     type: string
  *                   country:
  *                     type: string
+ *               addressId:
+ *                 type: string
+ *                 description: ID of a saved address to ship to (takes precedence over shippingAddress). Without either, the default saved address is used.
  *               couponCode:
  *                 type: string
  *                 description: Optional coupon code to apply
@@ -272,22 +305,25 @@ router.post("/", protect, createOrderValidator, createOrder);
  *                 order:
  *                   $ref: '#/components/schemas/Order'
  *       400:
- *         description: Invalid input, insufficient stock, or invalid coupon
+ *         description: Invalid input, missing or unknown variant, insufficient stock, invalid coupon or saved address not found
  *       401:
  *         description: Not authorized
+ *       403:
+ *         description: Email not verified (when REQUIRE_EMAIL_VERIFICATION is enabled)
  *       404:
  *         description: Product not found
  */
-router.post("/buy-now", protect, buyNowValidator, buyNow);
+router.post("/buy-now", protect, requireVerifiedEmail, buyNowValidator, buyNow);
 
 /**
  * @swagger
  * /api/orders/{id}/status:
  *   put:
- *     summary: Update order status (Admin only)
+ *     summary: Update order status (requires orders:update_status)
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -321,14 +357,14 @@ router.post("/buy-now", protect, buyNowValidator, buyNow);
  *       401:
  *         description: Not authorized
  *       403:
- *         description: Admin access required
+ *         description: Missing orders:update_status permission
  *       404:
  *         description: Order not found
  */
 router.put(
   "/:id/status",
-  protect,
-  authorize("admin"),
+  protectWithApiKey,
+  requirePermission("orders:update_status"),
   updateOrderStatusValidator,
   updateOrderStatus
 );
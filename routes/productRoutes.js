@@ -3,17 +3,33 @@ const router = express.Router();
 const {
   getProducts,
   getProduct,
+  getProductBySlug,
   createProduct,
   updateProduct,
   deleteProduct,
-  getCategories,
+  uploadProductImages,
 } = require("../controllers/productController");
-const { protect, authorize } = require("../middleware/auth");
+const {
+  getProductReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  reportReview,
+} = require("../controllers/reviewController");
+const { getCategories } = require("../controllers/categoryController");
+const { protect, requirePermission } = require("../middleware/auth");
+const { uploadImages } = require("../middleware/upload");
 const {
   createProductValidator,
   updateProductValidator,
   productIdValidator,
-  paginationValidator,
+  productSlugValidator,
+  productListValidator,
+  reviewListValidator,
+  createReviewValidator,
+  updateReviewValidator,
+  reviewIdValidator,
+  reportReviewValidator,
 } = require("../middleware/validator");
 
 /**
@@ -34,12 +50,31 @@ const {
  *         name:
  *           type: string
  *           description: Product name
+ *         sku:
+ *           type: string
+ *           description: The product's own SKU (stored upper-case), unique. Optional; spreadsheet imports match products by it.
+ *         slug:
+ *           type: string
+ *           description: Unique URL name, derived from the name and renewed when the name changes unless given
+ *         previousSlugs:
+ *           type: array
+ *           description: Former slugs, which redirect to the current one
+ *           items:
+ *             type: string
+ *         metaTitle:
+ *           type: string
+ *           maxLength: 70
+ *           description: Search engine title; use the name when empty
+ *         metaDescription:
+ *           type: string
+ *           maxLength: 160
+ *           description: Search engine description; use the description when empty
  *         description:
  *           type: string
  *           description: Product description
  *         category:
  *           type: string
- *           description: Product category
+ *           description: Category ID. Listings return it populated with name and slug; the single product also includes the category's ancestors.
  *         price:
  *           type: number
  *           description: Product price
@@ -59,12 +94,138 @@ const {
  *           type: number
  *           default: 0
  *           description: Available stock
+ *         soldCount:
+ *           type: number
+ *           readOnly: true
+ *           description: Units sold in orders that are not cancelled
+ *         ratingAverage:
+ *           type: number
+ *           readOnly: true
+ *           description: Average review rating (0 without reviews), rounded to one decimal
+ *         ratingCount:
+ *           type: number
+ *           readOnly: true
+ *           description: Number of reviews
  *         isActive:
  *           type: boolean
  *           default: true
+ *         variants:
+ *           type: array
+ *           description: Pack sizes with their own price and stock. When present, price, discount and stock of the product are the cheapest active variant's price and discount and the total stock of active variants.
+ *           items:
+ *             $ref: '#/components/schemas/ProductVariant'
  *         createdBy:
  *           type: string
  *           description: ID of the admin who created the product
+ *     ProductVariant:
+ *       type: object
+ *       required:
+ *         - sku
+ *         - label
+ *         - price
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Variant ID. Send it back on update to keep the variant (and cart items referring to it).
+ *         sku:
+ *           type: string
+ *           description: Stock keeping unit, unique across products (stored in upper case)
+ *         label:
+ *           type: string
+ *           description: Pack size, e.g. "1kg"
+ *         price:
+ *           type: number
+ *         discount:
+ *           type: number
+ *           default: 0
+ *         discountedPrice:
+ *           type: number
+ *           readOnly: true
+ *         stock:
+ *           type: number
+ *           default: 0
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *     Review:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         product:
+ *           type: string
+ *         user:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             profilePhoto:
+ *               type: string
+ *         order:
+ *           type: string
+ *           description: Delivered order the review is based on
+ *         rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         title:
+ *           type: string
+ *         comment:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           description: Only approved reviews are listed and counted in the rating. Reviews with links or blocked words start as pending.
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     ProductFacets:
+ *       type: object
+ *       description: Counts over all products matching the search (ignoring the category filter)
+ *       properties:
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               value:
+ *                 type: string
+ *                 description: Category ID
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *               count:
+ *                 type: integer
+ *         priceRanges:
+ *           type: array
+ *           description: Buckets of the discounted price, max is null for the last one
+ *           items:
+ *             type: object
+ *             properties:
+ *               min:
+ *                 type: number
+ *               max:
+ *                 type: number
+ *                 nullable: true
+ *               count:
+ *                 type: integer
+ *         availability:
+ *           type: object
+ *           properties:
+ *             inStock:
+ *               type: integer
+ *             outOfStock:
+ *               type: integer
+ *         discounted:
+ *           type: object
+ *           properties:
+ *             onSale:
+ *               type: integer
+ *             regular:
+ *               type: integer
  */
 
 /**
@@ -78,12 +239,42 @@ const {
  *         name: category
  *         schema:
  *           type: string
- *         description: Filter by category
+ *         description: Category ID or slug. Includes products of all its subcategories.
  *       - in: query
  *         name: search
  *         schema:
  *           type: string
- *         description: Search in name and description
+ *         description: Full-text search in name and description. Results are sorted by relevance and include highlights. Unfinished words fall back to prefix matching.
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Minimum price after discount
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Maximum price after discount
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: string
+ *           enum: ["true", "false"]
+ *         description: Only products that are (true) or are not (false) in stock
+ *       - in: query
+ *         name: onSale
+ *         schema:
+ *           type: string
+ *           enum: ["true", "false"]
+ *         description: Only products with (true) or without (false) a discount
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, price_asc, price_desc, best_selling, discount, rating]
+ *         description: Sort order. Defaults to relevance when searching, otherwise newest. Prices are compared after discount.
  *       - in: query
  *         name: page
  *         schema:
@@ -114,19 +305,39 @@ const {
  *                   type: integer
  *                 pages:
  *                   type: integer
+ *                 facets:
+ *                   $ref: '#/components/schemas/ProductFacets'
  *                 products:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/Product'
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Product'
+ *                       - type: object
+ *                         properties:
+ *                           score:
+ *                             type: number
+ *                             description: Relevance, only with search
+ *                           highlights:
+ *                             type: object
+ *                             description: Only with search. HTML-escaped text with matches wrapped in <mark> tags.
+ *                             properties:
+ *                               name:
+ *                                 type: string
+ *                               description:
+ *                                 type: string
+ *                                 description: Snippet around the first match
+ *       400:
+ *         description: Validation error
  */
-router.get("/", paginationValidator, getProducts);
+router.get("/", productListValidator, getProducts);
 
 /**
  * @swagger
  * /api/products/categories:
  *   get:
- *     summary: Get all product categories
+ *     summary: Get the category tree (same as GET /api/categories)
  *     tags: [Products]
+ *     deprecated: true
  *     responses:
  *       200:
  *         description: Categories retrieved successfully
@@ -140,10 +351,57 @@ router.get("/", paginationValidator, getProducts);
  *                 categories:
  *                   type: array
  *                   items:
- *                     type: string
+ *                     $ref: '#/components/schemas/CategoryTreeNode'
  */
 router.get("/categories", getCategories);
 
+/**
+ * @swagger
+ * /api/products/slug/{slug}:
+ *   get:
+ *     summary: Get single product by slug
+ *     description: A former slug of a renamed product answers with a 301 redirect to the current one.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product slug
+ *     responses:
+ *       200:
+ *         description: Product retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 product:
+ *                   $ref: '#/components/schemas/Product'
+ *       301:
+ *         description: Former slug; the Location header points to the current one
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 redirect:
+ *                   type: boolean
+ *                 slug:
+ *                   type: string
+ *                   description: Current slug of the product
+ *       400:
+ *         description: Invalid slug
+ *       404:
+ *         description: Product not found
+ */
+router.get("/slug/:slug", productSlugValidator, getProductBySlug);
+
 /**
  * @swagger
  * /api/products/{id}:
@@ -178,7 +436,7 @@ router.get("/:id", productIdValidator, getProduct);
  * @swagger
  * /api/products:
  *   post:
- *     summary: Create a new product (Admin only)
+ *     summary: Create a new product (requires products:write)
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -196,10 +454,22 @@ router.get("/:id", productIdValidator, getProduct);
  *             properties:
  *               name:
  *                 type: string
+ *               sku:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *                 description: Lower-case letters, digits and dashes. Derived from the name when omitted.
+ *               metaTitle:
+ *                 type: string
+ *                 maxLength: 70
+ *               metaDescription:
+ *                 type: string
+ *                 maxLength: 160
  *               description:
  *                 type: string
  *               category:
  *                 type: string
+ *                 description: Category ID
  *               price:
  *                 type: number
  *               discount:
@@ -213,15 +483,17 @@ router.get("/:id", productIdValidator, getProduct);
  *     responses:
  *       201:
  *         description: Product created successfully
+ *       400:
+ *         description: Validation error, category not found, or SKU or slug already in use
  *       401:
  *         description: Not authorized
  *       403:
- *         description: Admin access required
+ *         description: Missing products:write permission
  */
 router.post(
   "/",
   protect,
-  authorize("admin"),
+  requirePermission("products:write"),
   createProductValidator,
   createProduct
 );
@@ -230,7 +502,7 @@ router.post(
  * @swagger
  * /api/products/{id}:
  *   put:
- *     summary: Update a product (Admin only)
+ *     summary: Update a product (requires products:write)
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -250,10 +522,22 @@ router.post(
  *             properties:
  *               name:
  *                 type: string
+ *               sku:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *                 description: Lower-case letters, digits and dashes. Derived from the name when omitted.
+ *               metaTitle:
+ *                 type: string
+ *                 maxLength: 70
+ *               metaDescription:
+ *                 type: string
+ *                 maxLength: 160
  *               description:
  *                 type: string
  *               category:
  *                 type: string
+ *                 description: Category ID
  *               price:
  *                 type: number
  *               discount:
@@ -269,17 +553,19 @@ router.post(
  *     responses:
  *       200:
  *         description: Product updated successfully
+ *       400:
+ *         description: Validation error, category not found, or SKU or slug already in use
  *       401:
  *         description: Not authorized
  *       403:
- *         description: Admin access required
+ *         description: Missing products:write permission
  *       404:
  *         description: Product not found
  */
 router.put(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission("products:write"),
   productIdValidator,
   updateProductValidator,
   updateProduct
@@ -289,7 +575,7 @@ router.put(
  * @swagger
  * /api/products/{id}:
  *   delete:
- *     summary: Delete a product (Admin only)
+ *     summary: Delete a product (requires products:write)
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -306,16 +592,327 @@ router.put(
  *       401:
  *         description: Not authorized
  *       403:
- *         description: Admin access required
+ *         description: Missing products:write permission
  *       404:
  *         description: Product not found
  */
 router.delete(
   "/:id",
   protect,
-  authorize("admin"),
+  requirePermission("products:write"),
   productIdValidator,
   deleteProduct
 );
 
+/**
+ * @swagger
+ * /api/products/{id}/images:
+ *   post:
+ *     summary: Upload images and add them to a product (requires products:write)
+ *     description: Each image is stored with WebP thumbnails of 150, 300 and 600 pixels. The original keeps its format (JPEG, PNG or WebP), is limited to 2000 pixels and loses its EXIF data.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - images
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Images uploaded and added to the product
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 product:
+ *                   $ref: '#/components/schemas/Product'
+ *                 uploads:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Upload'
+ *       400:
+ *         description: No images, too many or too large, or not a JPEG, PNG or WebP image
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing products:write permission
+ *       404:
+ *         description: Product not found
+ */
+router.post(
+  "/:id/images",
+  protect,
+  requirePermission("products:write"),
+  productIdValidator,
+  uploadImages("images", 10),
+  uploadProductImages
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/reviews:
+ *   get:
+ *     summary: Get reviews of a product, newest first
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Reviews retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 ratingAverage:
+ *                   type: number
+ *                 ratingCount:
+ *                   type: integer
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 pages:
+ *                   type: integer
+ *                 reviews:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Review'
+ *       404:
+ *         description: Product not found
+ */
+router.get("/:id/reviews", reviewListValidator, getProductReviews);
+
+/**
+ * @swagger
+ * /api/products/{id}/reviews:
+ *   post:
+ *     summary: Review a product from one of your delivered orders
+ *     description: Each user can review a product once; update the existing review instead.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               title:
+ *                 type: string
+ *                 maxLength: 100
+ *               comment:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       201:
+ *         description: Review created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 review:
+ *                   $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Validation error or product already reviewed
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: No delivered order contains the product
+ *       404:
+ *         description: Product not found
+ */
+router.post("/:id/reviews", protect, createReviewValidator, createReview);
+
+/**
+ * @swagger
+ * /api/products/{id}/reviews/{reviewId}:
+ *   put:
+ *     summary: Update your review of a product
+ *     description: An edited review stays published only if it was published and still passes the automatic checks; otherwise it waits for moderation again.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Review ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               title:
+ *                 type: string
+ *                 maxLength: 100
+ *               comment:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Review updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 review:
+ *                   $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Review not found
+ */
+router.put("/:id/reviews/:reviewId", protect, updateReviewValidator, updateReview);
+
+/**
+ * @swagger
+ * /api/products/{id}/reviews/{reviewId}:
+ *   delete:
+ *     summary: Delete your review of a product
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Review ID
+ *     responses:
+ *       200:
+ *         description: Review deleted successfully
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Review not found
+ */
+router.delete("/:id/reviews/:reviewId", protect, reviewIdValidator, deleteReview);
+
+/**
+ * @swagger
+ * /api/products/{id}/reviews/{reviewId}/report:
+ *   post:
+ *     summary: Report a review as spam or abusive
+ *     description: Each customer can report a review once. After REVIEW_REPORT_THRESHOLD reports (default 3) the review is hidden until a moderator looks at it.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Review ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Review reported
+ *       400:
+ *         description: Own review or already reported
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Review not found
+ */
+router.post("/:id/reviews/:reviewId/report", protect, reportReviewValidator, reportReview);
+
 module.exports = router;
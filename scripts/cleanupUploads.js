@@ -0,0 +1,24 @@
+// Removes uploaded images that no product, category or user refers to any
+// more and that are older than UPLOAD_ORPHAN_GRACE_HOURS (24 by default).
+// Meant to run regularly, e.g. from a daily cron job.
+//
+// Usage: npm run cleanup:uploads
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { connectDB } = require("../config/db");
+const { cleanupOrphanedUploads } = require("../utils/images");
+
+const cleanup = async () => {
+  await connectDB();
+
+  const { checked, removed } = await cleanupOrphanedUploads();
+
+  console.log(`Removed ${removed} unused of ${checked} checked uploads`);
+};
+
+cleanup()
+  .then(() => mongoose.disconnect())
+  .catch((error) => {
+    console.error("Upload cleanup failed:", error);
+    process.exit(1);
+  });
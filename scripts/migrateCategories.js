@@ -0,0 +1,56 @@
+// One-off migration from free-text product categories to the Category collection.
+// Creates a top-level category per distinct name (trimmed, case-insensitive),
+// points products at it and rebuilds the product indexes (the text index no
+// longer covers category). Safe to run more than once.
+//
+// Usage: npm run migrate:categories
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { connectDB } = require("../config/db");
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+const slugify = require("../utils/slugify");
+
+const migrate = async () => {
+  await connectDB();
+
+  // Raw documents, since string categories no longer fit the schema
+  const products = await Product.collection
+    .find({ category: { $type: "string" } }, { projection: { category: 1 } })
+    .toArray();
+
+  const categories = new Map();
+  let migrated = 0;
+
+  for (const product of products) {
+    const name = product.category.trim().replace(/\s+/g, " ");
+    const slug = slugify(name);
+
+    if (!slug) {
+      console.warn(`Skipping product ${product._id}: no slug can be made from category "${product.category}"`);
+      continue;
+    }
+
+    if (!categories.has(slug)) {
+      const category = (await Category.findOne({ slug })) || (await Category.create({ name, slug }));
+      categories.set(slug, category);
+    }
+
+    await Product.collection.updateOne(
+      { _id: product._id },
+      { $set: { category: categories.get(slug)._id } }
+    );
+    migrated += 1;
+  }
+
+  await Product.syncIndexes();
+
+  console.log(`Moved ${migrated} of ${products.length} products into ${categories.size} categories`);
+};
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .catch((error) => {
+    console.error("Category migration failed:", error);
+    process.exit(1);
+  });
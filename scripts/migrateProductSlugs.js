@@ -0,0 +1,37 @@
+// One-off migration giving products from before slugs existed a slug from
+// their name, and building the slug indexes. Products saved since then already
+// have one. Safe to run more than once.
+//
+// Usage: npm run migrate:product-slugs
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { connectDB } = require("../config/db");
+const Product = require("../models/Product");
+
+const migrate = async () => {
+  await connectDB();
+
+  await Product.syncIndexes();
+
+  const products = await Product.find({ slug: { $exists: false } }).sort({ createdAt: 1 });
+  let migrated = 0;
+
+  // One at a time, so products with the same name get numbered slugs
+  for (const product of products) {
+    try {
+      await product.save();
+      migrated += 1;
+    } catch (error) {
+      console.warn(`Skipping product ${product._id}: ${error.message}`);
+    }
+  }
+
+  console.log(`Gave ${migrated} of ${products.length} products a slug`);
+};
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .catch((error) => {
+    console.error("Product slug migration failed:", error);
+    process.exit(1);
+  });
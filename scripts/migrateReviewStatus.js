@@ -0,0 +1,33 @@
+// One-off migration for reviews written before moderation existed. They have no
+// status and would otherwise be hidden and left out of product ratings, so they
+// are approved, as they were already published. The ratings of their products
+// are recalculated. Safe to run more than once.
+//
+// Usage: npm run migrate:review-status
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { connectDB } = require("../config/db");
+const Review = require("../models/Review");
+
+const migrate = async () => {
+  await connectDB();
+
+  const products = await Review.distinct("product", { status: { $exists: false } });
+  const { modifiedCount } = await Review.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: "approved" } }
+  );
+
+  for (const productId of products) {
+    await Review.updateProductRating(productId);
+  }
+
+  console.log(`Approved ${modifiedCount} reviews and recalculated the rating of ${products.length} products`);
+};
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .catch((error) => {
+    console.error("Review status migration failed:", error);
+    process.exit(1);
+  });
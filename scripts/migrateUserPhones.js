@@ -0,0 +1,57 @@
+// One-off migration for phone numbers saved before phones had to be 10 digits.
+// Strips spaces, dashes, brackets and the +91 / 0 prefixes; numbers that are
+// still not 10 digits are removed, since any full save of the user would
+// otherwise fail validation (e.g. resetting the password). Safe to run more
+// than once.
+//
+// Usage: npm run migrate:user-phones
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { connectDB } = require("../config/db");
+const User = require("../models/User");
+
+const PHONE_PATTERN = /^[0-9]{10}$/;
+
+const normalizePhone = (phone) => {
+  const digits = String(phone ?? "").replace(/[\s().-]/g, "");
+  return digits.replace(/^(\+91|0091|91(?=[0-9]{10}$)|0(?=[0-9]{10}$))/, "");
+};
+
+const migrate = async () => {
+  await connectDB();
+
+  // Raw documents, since these phones no longer fit the schema
+  const users = await User.collection
+    .find({ phone: { $exists: true, $not: PHONE_PATTERN } }, { projection: { phone: 1 } })
+    .toArray();
+
+  let normalized = 0;
+  let removed = 0;
+
+  for (const user of users) {
+    const phone = normalizePhone(user.phone);
+
+    if (PHONE_PATTERN.test(phone)) {
+      await User.collection.updateOne({ _id: user._id }, { $set: { phone } });
+      normalized += 1;
+    } else {
+      await User.collection.updateOne(
+        { _id: user._id },
+        { $unset: { phone: "" }, $set: { phoneVerified: false } }
+      );
+      removed += 1;
+      if (user.phone) {
+        console.warn(`Removed phone "${user.phone}" of user ${user._id}: not a 10 digit number`);
+      }
+    }
+  }
+
+  console.log(`Normalized ${normalized} and removed ${removed} of ${users.length} invalid phone numbers`);
+};
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .catch((error) => {
+    console.error("Phone migration failed:", error);
+    process.exit(1);
+  });
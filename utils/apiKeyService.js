@@ -0,0 +1,45 @@
+const ApiKey = require("../models/ApiKey");
+const { hashToken, randomToken } = require("./tokenService");
+
+const KEY_PREFIX = "kpk_";
+// Write lastUsedAt at most this often to avoid a database write per request
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// Generate a new key. Returns the plain key (to show once) and what is stored.
+const generateApiKey = () => {
+  const key = `${KEY_PREFIX}${randomToken(24)}`;
+  return {
+    key,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashToken(key),
+  };
+};
+
+// Look up an API key and record its use.
+// Returns the key document or null if it is unknown, expired or revoked.
+const verifyApiKey = async (key, req) => {
+  if (!key.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+  if (!apiKey || !apiKey.isActive) {
+    return null;
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_INTERVAL_MS) {
+    apiKey.lastUsedAt = new Date();
+    apiKey.lastUsedIp = req.ip || "";
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: apiKey.lastUsedAt, lastUsedIp: apiKey.lastUsedIp }
+    );
+  }
+
+  return apiKey;
+};
+
+module.exports = {
+  generateApiKey,
+  verifyApiKey,
+};
@@ -0,0 +1,65 @@
+const AuditLog = require("../models/AuditLog");
+
+// Bookkeeping fields that are not worth recording in a diff
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt"];
+
+// Plain object of a document or value, so it can be compared and stored
+const toPlain = (value) => {
+  if (!value) {
+    return null;
+  }
+  return JSON.parse(JSON.stringify(value.toObject ? value.toObject() : value));
+};
+
+// Keep only the top-level fields that differ between before and after
+const diffChanges = (before, after) => {
+  const oldValues = toPlain(before);
+  const newValues = toPlain(after);
+  const keys = new Set([...Object.keys(oldValues || {}), ...Object.keys(newValues || {})]);
+
+  const changes = {
+    before: oldValues && {},
+    after: newValues && {},
+  };
+
+  keys.forEach((key) => {
+    const oldValue = oldValues?.[key];
+    const newValue = newValues?.[key];
+
+    if (IGNORED_FIELDS.includes(key) || JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+      return;
+    }
+    if (oldValues) changes.before[key] = oldValue ?? null;
+    if (newValues) changes.after[key] = newValue ?? null;
+  });
+
+  return changes;
+};
+
+// Record an audit entry. Auditing must never break the request, so failures are only logged.
+// Pass before and/or after (documents or plain objects) to store a diff of the changed fields.
+const recordAudit = async (
+  req,
+  { action, entityType = null, entityId = null, actor, before, after, metadata = {} }
+) => {
+  try {
+    await AuditLog.create({
+      actor: actor !== undefined ? actor : req.user?._id || null,
+      apiKey: req.apiKey?._id || null,
+      action,
+      entityType,
+      entityId: entityId ? entityId.toString() : null,
+      changes: before || after ? diffChanges(before, after) : null,
+      ip: req.ip || "",
+      requestId: req.id || null,
+      metadata,
+    });
+  } catch (error) {
+    console.error(`Failed to record audit entry ${action}: ${error.message}`);
+  }
+};
+
+module.exports = {
+  recordAudit,
+  diffChanges,
+};
@@ -0,0 +1,172 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+const Upload = require("../models/Upload");
+const Product = require("../models/Product");
+const Category = require("../models/Category");
+const User = require("../models/User");
+const { getStorage } = require("./storage");
+
+// Storage folder per kind of image, with the largest side kept for the
+// original and the thumbnail sizes generated next to it
+const IMAGE_KINDS = {
+  catalog: { maxDimension: 2000, thumbnails: [150, 300, 600], fit: "inside" },
+  profiles: { maxDimension: 1024, thumbnails: [64, 128, 256], fit: "cover" },
+};
+
+// Formats accepted after inspecting the file itself, not its declared type
+const FORMATS = {
+  jpeg: { mimeType: "image/jpeg", extension: "jpg" },
+  png: { mimeType: "image/png", extension: "png" },
+  webp: { mimeType: "image/webp", extension: "webp" },
+};
+
+// Uploads younger than this are never treated as orphans, so an admin can
+// upload images before saving the product that uses them
+const ORPHAN_GRACE_HOURS = parseInt(process.env.UPLOAD_ORPHAN_GRACE_HOURS) || 24;
+
+// Error with an HTTP status the error handler passes on to the client
+const imageError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Check an uploaded file, store it with its thumbnails and record the upload.
+// The original is re-encoded, which also strips EXIF data such as GPS positions.
+const storeImage = async (file, kind, uploadedBy = null) => {
+  const { maxDimension, thumbnails, fit } = IMAGE_KINDS[kind];
+
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    throw imageError(`${file.originalname} is not a valid image`);
+  }
+
+  const format = FORMATS[metadata.format];
+  if (!format) {
+    throw imageError(`${file.originalname} must be a JPEG, PNG or WebP image`);
+  }
+
+  const storage = getStorage();
+  const name = `${kind}/${crypto.randomBytes(12).toString("hex")}`;
+  const stored = [];
+
+  try {
+    // rotate() applies the EXIF orientation before the metadata is dropped
+    const original = await sharp(file.buffer)
+      .rotate()
+      .resize({ width: maxDimension, height: maxDimension, fit: "inside", withoutEnlargement: true })
+      .toFormat(metadata.format)
+      .toBuffer({ resolveWithObject: true });
+
+    const key = `${name}.${format.extension}`;
+    await storage.put(key, original.data, format.mimeType);
+    stored.push(key);
+
+    const thumbnailRecords = [];
+    for (const size of thumbnails) {
+      const thumbnail = await sharp(file.buffer)
+        .rotate()
+        .resize({ width: size, height: size, fit, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+
+      const thumbnailKey = `${name}_${size}.webp`;
+      await storage.put(thumbnailKey, thumbnail, "image/webp");
+      stored.push(thumbnailKey);
+      thumbnailRecords.push({ size, key: thumbnailKey, url: storage.url(thumbnailKey) });
+    }
+
+    return await Upload.create({
+      key,
+      url: storage.url(key),
+      driver: storage.name,
+      thumbnails: thumbnailRecords,
+      mimeType: format.mimeType,
+      bytes: original.info.size,
+      width: original.info.width,
+      height: original.info.height,
+      uploadedBy,
+    });
+  } catch (error) {
+    // Leave nothing behind from a half-stored image
+    await Promise.allSettled(stored.map((key) => storage.remove(key)));
+    throw error;
+  }
+};
+
+// Store several uploaded files, removing the ones already stored if one fails
+const storeImages = async (files, kind, uploadedBy = null) => {
+  const uploads = [];
+  try {
+    for (const file of files) {
+      uploads.push(await storeImage(file, kind, uploadedBy));
+    }
+    return uploads;
+  } catch (error) {
+    await Promise.allSettled(uploads.map(removeUpload));
+    throw error;
+  }
+};
+
+// Delete an upload's files and its record
+const removeUpload = async (upload) => {
+  const storage = getStorage(upload.driver);
+  await Promise.all([upload.key, ...upload.thumbnails.map((thumbnail) => thumbnail.key)].map(storage.remove));
+  await Upload.deleteOne({ _id: upload._id });
+};
+
+// Remove uploads older than the grace period that no product, category or
+// user refers to any more (by the original or a thumbnail URL)
+const cleanupOrphanedUploads = async ({ olderThanHours = ORPHAN_GRACE_HOURS, batchSize = 500 } = {}) => {
+  const cutoff = new Date(Date.now() - olderThanHours * 60 * 60 * 1000);
+  let checked = 0;
+  let removed = 0;
+  let lastId = null;
+
+  for (;;) {
+    const query = { createdAt: { $lt: cutoff } };
+    if (lastId) {
+      query._id = { $gt: lastId };
+    }
+
+    const uploads = await Upload.find(query).sort({ _id: 1 }).limit(batchSize);
+    if (uploads.length === 0) {
+      break;
+    }
+    lastId = uploads[uploads.length - 1]._id;
+    checked += uploads.length;
+
+    const urls = uploads.flatMap((upload) => [
+      upload.url,
+      ...upload.thumbnails.map((thumbnail) => thumbnail.url),
+    ]);
+    const referenced = new Set(
+      (
+        await Promise.all([
+          Product.distinct("images", { images: { $in: urls } }),
+          Category.distinct("image", { image: { $in: urls } }),
+          User.distinct("profilePhoto", { profilePhoto: { $in: urls } }),
+        ])
+      ).flat()
+    );
+
+    for (const upload of uploads) {
+      const inUse = [upload.url, ...upload.thumbnails.map((thumbnail) => thumbnail.url)].some((url) =>
+        referenced.has(url)
+      );
+      if (!inUse) {
+        await removeUpload(upload);
+        removed += 1;
+      }
+    }
+  }
+
+  return { checked, removed };
+};
+
+module.exports = {
+  storeImages,
+  cleanupOrphanedUploads,
+};
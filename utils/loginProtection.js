@@ -0,0 +1,158 @@
+const LoginAttempt = require("../models/LoginAttempt");
+const User = require("../models/User");
+const { recordAudit } = require("./audit");
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10;
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+const IP_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 50;
+const IP_WINDOW_MINUTES = 15;
+// Failures before each further attempt has to wait
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 60;
+// Distinct emails failing from one IP that look like credential stuffing
+const BURST_DISTINCT_EMAILS = 5;
+
+// Seconds a user must wait after their latest failure: 1, 2, 4, ... up to a minute
+const delaySeconds = (failedAttempts) => {
+  if (failedAttempts < FREE_ATTEMPTS) {
+    return 0;
+  }
+  return Math.min(2 ** (failedAttempts - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+};
+
+const ipWindowStart = () => new Date(Date.now() - IP_WINDOW_MINUTES * 60 * 1000);
+
+// Refusal while the account is locked or must wait after its latest failure
+const accountRefusal = (user) => {
+  const now = Date.now();
+
+  if (user.lockUntil && user.lockUntil.getTime() > now) {
+    return {
+      retryAfter: Math.ceil((user.lockUntil.getTime() - now) / 1000),
+      message: "Account temporarily locked due to too many failed login attempts. Please try again later.",
+    };
+  }
+
+  const delay = delaySeconds(user.failedLoginAttempts);
+  if (delay > 0 && user.lastFailedLoginAt) {
+    const allowedAt = user.lastFailedLoginAt.getTime() + delay * 1000;
+    if (allowedAt > now) {
+      return {
+        retryAfter: Math.ceil((allowedAt - now) / 1000),
+        message: "Too many failed login attempts. Please wait before trying again.",
+      };
+    }
+  }
+
+  return null;
+};
+
+// Check whether a login attempt may be evaluated at all.
+// Returns null when allowed, or { retryAfter, message } when it must be refused.
+const checkLoginAllowed = async (user, ip) => {
+  const ipFailures = await LoginAttempt.countDocuments({
+    ip,
+    success: false,
+    createdAt: { $gte: ipWindowStart() },
+  });
+
+  if (ipFailures >= IP_MAX_FAILED_ATTEMPTS) {
+    return {
+      retryAfter: IP_WINDOW_MINUTES * 60,
+      message: "Too many failed login attempts from this network. Please try again later.",
+    };
+  }
+
+  return user ? accountRefusal(user) : null;
+};
+
+// Check the account again after a correct password or code, against its current
+// state rather than the user loaded before: parallel attempts that failed in the
+// meantime may have locked it or started a delay. Same result as checkLoginAllowed.
+const confirmLoginAllowed = async (user) => {
+  const current = await User.findById(user._id).select("failedLoginAttempts lastFailedLoginAt lockUntil");
+  return current ? accountRefusal(current) : null;
+};
+
+// Record a failed password or two-factor attempt; locks the account when the limit is reached
+const recordFailedLogin = async (req, user, email) => {
+  const ip = req.ip || "";
+
+  await LoginAttempt.create({ ip, email, user: user?._id || null, success: false });
+
+  if (user) {
+    const now = new Date();
+
+    // A lock that has run out starts a fresh count
+    await User.updateOne(
+      { _id: user._id, lockUntil: { $lte: now } },
+      { $set: { failedLoginAttempts: 0, lockUntil: null } }
+    );
+
+    // Counted in the database, so parallel failures cannot overwrite each other
+    const counted = await User.findOneAndUpdate(
+      { _id: user._id },
+      { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+      { new: true }
+    ).select("failedLoginAttempts");
+
+    if (counted && counted.failedLoginAttempts >= MAX_FAILED_ATTEMPTS) {
+      const lockUntil = new Date(now.getTime() + LOCK_MINUTES * 60 * 1000);
+
+      // Only the attempt that actually locks the account audits it
+      const locked = await User.updateOne(
+        { _id: user._id, $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }] },
+        { $set: { lockUntil } }
+      );
+
+      if (locked.modifiedCount > 0) {
+        await recordAudit(req, {
+          action: "auth.account_locked",
+          entityType: "User",
+          entityId: user._id,
+          actor: null,
+          metadata: { email, failedLoginAttempts: counted.failedLoginAttempts, lockUntil },
+        });
+      }
+    }
+  }
+
+  // Audit an IP once when it crosses a threshold, not on every further failure
+  const since = ipWindowStart();
+  const ipFailures = await LoginAttempt.countDocuments({ ip, success: false, createdAt: { $gte: since } });
+
+  if (ipFailures === IP_MAX_FAILED_ATTEMPTS) {
+    await recordAudit(req, {
+      action: "auth.ip_blocked",
+      actor: null,
+      metadata: { failedAttempts: ipFailures, windowMinutes: IP_WINDOW_MINUTES },
+    });
+  }
+
+  const emails = await LoginAttempt.distinct("email", { ip, success: false, createdAt: { $gte: since } });
+
+  if (emails.length === BURST_DISTINCT_EMAILS) {
+    await recordAudit(req, {
+      action: "auth.suspicious_login_burst",
+      actor: null,
+      metadata: { distinctEmails: emails.length, failedAttempts: ipFailures, windowMinutes: IP_WINDOW_MINUTES },
+    });
+  }
+};
+
+// Record a successful login and clear the user's failure count
+const recordSuccessfulLogin = async (req, user) => {
+  await LoginAttempt.create({ ip: req.ip || "", email: user.email, user: user._id, success: true });
+
+  await User.updateOne(
+    { _id: user._id, $or: [{ failedLoginAttempts: { $gt: 0 } }, { lockUntil: { $ne: null } }] },
+    { $set: { failedLoginAttempts: 0, lastFailedLoginAt: null, lockUntil: null } }
+  );
+};
+
+module.exports = {
+  checkLoginAllowed,
+  confirmLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+};
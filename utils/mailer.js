@@ -0,0 +1,73 @@
+const fs = require("fs");
+const path = require("path");
+
+// Mail transports. Select one with MAIL_TRANSPORT (console | file | smtp).
+// console and file are meant for local development, smtp for production.
+const transports = {
+  // Print the message to the server log
+  console: async (message) => {
+    console.log(
+      `[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`,
+    );
+  },
+
+  // Write each message as a JSON file into MAIL_DIR
+  file: async (message) => {
+    const dir = path.resolve(process.env.MAIL_DIR || "mail");
+    await fs.promises.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, "_")}.json`;
+    await fs.promises.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify({ ...message, date: new Date() }, null, 2),
+    );
+  },
+
+  // Send through an SMTP server
+  smtp: async (message) => {
+    await getSmtpTransport().sendMail(message);
+  },
+};
+
+let smtpTransport = null;
+
+const getSmtpTransport = () => {
+  if (!smtpTransport) {
+    const nodemailer = require("nodemailer");
+    smtpTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return smtpTransport;
+};
+
+// Send an email through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  // The console transport would print reset and verification links to the log
+  if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === "production") {
+    throw new Error("MAIL_TRANSPORT must be set in production");
+  }
+
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || "Kuppams Organic <no-reply@kuppams.com>",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+module.exports = {
+  sendMail,
+};
@@ -0,0 +1,208 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const OidcState = require("../models/OidcState");
+const { hashToken, randomToken } = require("./tokenService");
+
+const STATE_EXPIRE_MINUTES = 10;
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+// Unknown key ids trigger a JWKS refetch, but not more often than this
+const JWKS_REFRESH_MS = 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "PS384", "PS512", "ES256", "ES384", "ES512"];
+
+// Per-issuer cache of discovery documents and signing keys
+const cache = {};
+
+// Error with an HTTP status the error handler passes on to the client
+const oidcError = (message, statusCode = 401) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const fetchJson = async (url, options) => {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (error) {
+    throw oidcError(`Login provider is unreachable: ${error.message}`, 502);
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    const reason = body?.error_description || body?.error || `status ${response.status}`;
+    throw oidcError(`Login provider request failed: ${reason}`, 502);
+  }
+  return body;
+};
+
+const issuerCache = (issuer) => {
+  if (!cache[issuer]) {
+    cache[issuer] = { metadata: null, metadataFetchedAt: 0, keys: {}, keysFetchedAt: 0 };
+  }
+  return cache[issuer];
+};
+
+// Discovery document of the provider (authorization, token and JWKS endpoints)
+const getMetadata = async (provider) => {
+  const entry = issuerCache(provider.issuer);
+
+  if (!entry.metadata || Date.now() - entry.metadataFetchedAt > METADATA_CACHE_MS) {
+    const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+
+    if (metadata.issuer !== provider.issuer) {
+      throw oidcError("Login provider issuer does not match its configuration", 502);
+    }
+
+    entry.metadata = metadata;
+    entry.metadataFetchedAt = Date.now();
+  }
+
+  return entry.metadata;
+};
+
+// Public key for the given key id, refetching the JWKS when the provider has rotated keys
+const getSigningKey = async (provider, kid) => {
+  const entry = issuerCache(provider.issuer);
+
+  if (!entry.keys[kid] && Date.now() - entry.keysFetchedAt > JWKS_REFRESH_MS) {
+    const metadata = await getMetadata(provider);
+    const jwks = await fetchJson(metadata.jwks_uri);
+
+    entry.keys = {};
+    (jwks.keys || [])
+      .filter((jwk) => !jwk.use || jwk.use === "sig")
+      .forEach((jwk) => {
+        try {
+          entry.keys[jwk.kid] = crypto.createPublicKey({ key: jwk, format: "jwk" });
+        } catch (error) {
+          console.error(`Skipping unusable JWK ${jwk.kid} from ${provider.issuer}: ${error.message}`);
+        }
+      });
+    entry.keysFetchedAt = Date.now();
+  }
+
+  return entry.keys[kid] || null;
+};
+
+// Start a login: remember state, nonce and PKCE verifier and build the provider URL
+const createAuthorizationRequest = async (provider) => {
+  const metadata = await getMetadata(provider);
+
+  const state = randomToken(32);
+  const nonce = randomToken(32);
+  const codeVerifier = randomToken(48);
+  const codeChallenge = crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+
+  await OidcState.create({
+    stateHash: hashToken(state),
+    provider: provider.name,
+    codeVerifier,
+    nonce,
+    expiresAt: new Date(Date.now() + STATE_EXPIRE_MINUTES * 60 * 1000),
+  });
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  }).toString();
+
+  return { authorizationUrl: url.toString(), state };
+};
+
+// Exchange the authorization code for tokens at the provider's token endpoint
+const exchangeCode = async (provider, metadata, code, codeVerifier) => {
+  const params = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: provider.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier,
+  });
+  const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+
+  if (provider.clientSecret) {
+    const methods = metadata.token_endpoint_auth_methods_supported || ["client_secret_basic"];
+    if (methods.includes("client_secret_basic")) {
+      const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+    } else {
+      params.set("client_secret", provider.clientSecret);
+    }
+  }
+
+  return await fetchJson(metadata.token_endpoint, {
+    method: "POST",
+    headers,
+    body: params.toString(),
+  });
+};
+
+// Check signature, issuer, audience, expiry and nonce of an ID token and return its claims
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header.kid) {
+    throw oidcError("Invalid ID token");
+  }
+
+  const key = await getSigningKey(provider, decoded.header.kid);
+  if (!key) {
+    throw oidcError("ID token is signed with an unknown key");
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: provider.issuer,
+      audience: provider.clientId,
+    });
+  } catch (error) {
+    throw oidcError(`Invalid ID token: ${error.message}`);
+  }
+
+  // With several audiences the token must have been issued to us
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+    throw oidcError("ID token was issued to another client");
+  }
+
+  if (claims.nonce !== nonce) {
+    throw oidcError("ID token nonce does not match");
+  }
+
+  return claims;
+};
+
+// Finish a login from the provider callback. Returns the verified ID token claims.
+const completeAuthorization = async (provider, { code, state }) => {
+  // States are single-use
+  const pending = await OidcState.findOneAndDelete({
+    stateHash: hashToken(state),
+    provider: provider.name,
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (!pending) {
+    throw oidcError("Login request is invalid or has expired. Please try again.", 400);
+  }
+
+  const metadata = await getMetadata(provider);
+  const tokens = await exchangeCode(provider, metadata, code, pending.codeVerifier);
+
+  if (!tokens.id_token) {
+    throw oidcError("Login provider did not return an ID token", 502);
+  }
+
+  return await verifyIdToken(provider, tokens.id_token, pending.nonce);
+};
+
+module.exports = {
+  createAuthorizationRequest,
+  completeAuthorization,
+};
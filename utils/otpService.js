@@ -0,0 +1,106 @@
+const crypto = require("crypto");
+const Otp = require("../models/Otp");
+const { sendSms } = require("./sms");
+
+const OTP_EXPIRE_MINUTES = parseInt(process.env.OTP_EXPIRE_MINUTES) || 5;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_MAX_REQUESTS = parseInt(process.env.OTP_MAX_REQUESTS) || 3;
+const OTP_REQUEST_WINDOW_MINUTES = 15;
+const OTP_RESEND_SECONDS = 60;
+
+// Codes are short, so they are keyed with the server secret rather than plainly hashed
+const hashCode = (phone, purpose, code) => {
+  return crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(`${purpose}:${phone}:${code}`)
+    .digest("hex");
+};
+
+// Generate and send a new code.
+// Returns { sent: true } or { sent: false, retryAfter } when the phone is rate limited.
+const requestOtp = async (phone, purpose) => {
+  const now = Date.now();
+  const windowStart = new Date(now - OTP_REQUEST_WINDOW_MINUTES * 60 * 1000);
+
+  const recent = await Otp.find({ phone, purpose, createdAt: { $gte: windowStart } })
+    .sort({ createdAt: -1 });
+
+  if (recent.length > 0) {
+    const sinceLast = (now - recent[0].createdAt.getTime()) / 1000;
+    if (sinceLast < OTP_RESEND_SECONDS) {
+      return { sent: false, retryAfter: Math.ceil(OTP_RESEND_SECONDS - sinceLast) };
+    }
+  }
+
+  if (recent.length >= OTP_MAX_REQUESTS) {
+    const oldest = recent[recent.length - 1].createdAt.getTime();
+    const retryAfter = Math.ceil((oldest + OTP_REQUEST_WINDOW_MINUTES * 60 * 1000 - now) / 1000);
+    return { sent: false, retryAfter };
+  }
+
+  // Only the newest code is valid
+  await Otp.updateMany({ phone, purpose, consumedAt: null }, { consumedAt: new Date() });
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+
+  await Otp.create({
+    phone,
+    purpose,
+    codeHash: hashCode(phone, purpose, code),
+    expiresAt: new Date(now + OTP_EXPIRE_MINUTES * 60 * 1000),
+  });
+
+  await sendSms({
+    to: phone,
+    text: `${code} is your Kuppams verification code. It expires in ${OTP_EXPIRE_MINUTES} minutes. Do not share it with anyone.`,
+  });
+
+  return { sent: true };
+};
+
+// Check a code against the latest one sent to the phone.
+// Returns the matching Otp document (not yet consumed) or null.
+const checkOtp = async (phone, purpose, code) => {
+  const latest = await Otp.findOne({
+    phone,
+    purpose,
+    consumedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ createdAt: -1 });
+
+  if (!latest) {
+    return null;
+  }
+
+  // Claim the attempt before comparing, so parallel guesses cannot overwrite
+  // each other's count and get past the limit
+  const otp = await Otp.findOneAndUpdate(
+    { _id: latest._id, consumedAt: null, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!otp) {
+    return null;
+  }
+
+  const expected = Buffer.from(otp.codeHash, "hex");
+  const actual = Buffer.from(hashCode(phone, purpose, code), "hex");
+
+  return crypto.timingSafeEqual(expected, actual) ? otp : null;
+};
+
+// Mark a code as used. Returns false when a parallel request already used it.
+const consumeOtp = async (otp) => {
+  const { modifiedCount } = await Otp.updateOne(
+    { _id: otp._id, consumedAt: null },
+    { consumedAt: new Date() }
+  );
+  return modifiedCount > 0;
+};
+
+module.exports = {
+  requestOtp,
+  checkOtp,
+  consumeOtp,
+};
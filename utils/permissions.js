@@ -0,0 +1,40 @@
+const Role = require("../models/Role");
+const { BUILT_IN_ROLES, ALL_PERMISSIONS, CUSTOMER_ROLE } = require("../config/permissions");
+
+// Permissions of a built-in or custom role (none for unknown roles)
+const getRolePermissions = async (roleName) => {
+  if (BUILT_IN_ROLES[roleName]) {
+    return BUILT_IN_ROLES[roleName].permissions;
+  }
+
+  const role = await Role.findOne({ name: roleName });
+  return role ? role.permissions : [];
+};
+
+// Check if a role with this name exists
+const roleExists = async (roleName) => {
+  return !!BUILT_IN_ROLES[roleName] || !!(await Role.exists({ name: roleName }));
+};
+
+// Check a permission against a list of granted permissions
+const grants = (permissions, permission) => {
+  return permissions.includes(ALL_PERMISSIONS) || permissions.includes(permission);
+};
+
+// Check if a user's role grants a permission
+const hasPermission = async (user, permission) => {
+  return grants(await getRolePermissions(user.role), permission);
+};
+
+// Staff are all users with a role other than the customer role
+const isStaff = (user) => {
+  return !!user.role && user.role !== CUSTOMER_ROLE;
+};
+
+module.exports = {
+  getRolePermissions,
+  roleExists,
+  grants,
+  hasPermission,
+  isStaff,
+};
@@ -0,0 +1,175 @@
+// Helpers for the product listing: search terms, highlighting and facet counts
+const Category = require("../models/Category");
+
+// Lower bounds of the price facet buckets (on the discounted price)
+const PRICE_BUCKETS = [0, 100, 250, 500, 1000];
+const SNIPPET_BEFORE = 60;
+const SNIPPET_LENGTH = 160;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Words of a search query, reduced to a rough stem so "tomatoes" also marks "tomato"
+const searchTerms = (search) => {
+  return search
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length >= 2)
+    .map((word) => {
+      const stem = word.replace(/(es|s|ing|ed)$/, "");
+      return stem.length >= 3 ? stem : word;
+    });
+};
+
+// Regex matching whole words that start with any of the terms
+const termsPattern = (terms) => {
+  return new RegExp(`(?<![\\p{L}\\p{N}])(${terms.map(escapeRegex).join("|")})[\\p{L}\\p{N}]*`, "giu");
+};
+
+// Match products whose words start with the search terms. Used when the text
+// index finds nothing, e.g. for an unfinished word like "tom".
+const prefixSearchQuery = (search) => {
+  const terms = searchTerms(search);
+  if (terms.length === 0) {
+    return null;
+  }
+
+  // Plain \b keeps the pattern portable to MongoDB's regex engine
+  const pattern = new RegExp(`\\b(${terms.map(escapeRegex).join("|")})`, "i");
+  return {
+    $or: [{ name: pattern }, { description: pattern }],
+  };
+};
+
+// Wrap matches in <mark> tags. Matching runs on the raw text and each piece is
+// HTML-escaped on its own, so terms never match inside an entity like &amp;.
+const highlightText = (text, pattern) => {
+  let html = "";
+  let last = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    html += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+
+  return html + escapeHtml(text.slice(last));
+};
+
+// Highlighted name and a description snippet around the first match
+const buildHighlights = (product, search) => {
+  const terms = searchTerms(search);
+  if (terms.length === 0) {
+    return null;
+  }
+
+  const pattern = termsPattern(terms);
+  const description = product.description || "";
+
+  const match = pattern.exec(description);
+  pattern.lastIndex = 0;
+
+  const start = match ? Math.max(0, match.index - SNIPPET_BEFORE) : 0;
+  const end = start + SNIPPET_LENGTH;
+  let snippet = description.slice(start, end);
+  if (start > 0) snippet = `…${snippet}`;
+  if (end < description.length) snippet = `${snippet}…`;
+
+  return {
+    name: highlightText(product.name, pattern),
+    description: highlightText(snippet, pattern),
+  };
+};
+
+// Effective price after discount, as an aggregation expression
+const discountedPriceExpression = {
+  $multiply: ["$price", { $subtract: [1, { $divide: [{ $ifNull: ["$discount", 0] }, 100] }] }],
+};
+
+// Sort orders of the product listing. price_* sort on the effective price
+// added by the listing pipeline; newest breaks ties everywhere.
+const PRODUCT_SORTS = {
+  newest: { createdAt: -1 },
+  price_asc: { effectivePrice: 1, createdAt: -1 },
+  price_desc: { effectivePrice: -1, createdAt: -1 },
+  best_selling: { soldCount: -1, createdAt: -1 },
+  discount: { discount: -1, createdAt: -1 },
+  rating: { ratingAverage: -1, ratingCount: -1, createdAt: -1 },
+};
+
+// Facet counts (category, price range, availability, discount) for products matching the query
+const getFacets = async (Product, match) => {
+  const [result] = await Product.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        categories: [
+          { $group: { _id: "$category", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          {
+            $lookup: {
+              from: Category.collection.name,
+              localField: "_id",
+              foreignField: "_id",
+              as: "category",
+            },
+          },
+        ],
+        priceRanges: [
+          {
+            $bucket: {
+              groupBy: discountedPriceExpression,
+              boundaries: PRICE_BUCKETS.concat(Number.MAX_VALUE),
+              default: "other",
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+        availability: [
+          { $group: { _id: { $gt: ["$stock", 0] }, count: { $sum: 1 } } },
+        ],
+        discounted: [
+          { $group: { _id: { $gt: ["$discount", 0] }, count: { $sum: 1 } } },
+        ],
+      },
+    },
+  ]);
+
+  const countFor = (groups, key) => groups.find((group) => group._id === key)?.count || 0;
+
+  return {
+    categories: result.categories.map((group) => ({
+      value: group._id,
+      name: group.category[0]?.name || null,
+      slug: group.category[0]?.slug || null,
+      count: group.count,
+    })),
+    priceRanges: PRICE_BUCKETS.map((min, index) => ({
+      min,
+      max: PRICE_BUCKETS[index + 1] ?? null,
+      count: countFor(result.priceRanges, min),
+    })),
+    availability: {
+      inStock: countFor(result.availability, true),
+      outOfStock: countFor(result.availability, false),
+    },
+    discounted: {
+      onSale: countFor(result.discounted, true),
+      regular: countFor(result.discounted, false),
+    },
+  };
+};
+
+module.exports = {
+  escapeRegex,
+  prefixSearchQuery,
+  buildHighlights,
+  discountedPriceExpression,
+  PRODUCT_SORTS,
+  getFacets,
+};
@@ -0,0 +1,501 @@
+const path = require("path");
+const ExcelJS = require("exceljs");
+const { parse } = require("csv-parse/sync");
+const { stringify } = require("csv-stringify/sync");
+const { validationResult } = require("express-validator");
+const Product = require("../models/Product");
+const Category = require("../models/Category");
+const { importProductRowValidator, updateProductValidator } = require("../middleware/validator");
+
+// Spreadsheet columns, in export order. A row with a parentSku or parentId is a
+// variant of the product with that SKU or ID and only uses the variant columns.
+const COLUMNS = [
+  "id",
+  "sku",
+  "parentSku",
+  "parentId",
+  "name",
+  "variantLabel",
+  "description",
+  "category",
+  "price",
+  "discount",
+  "stock",
+  "quantity",
+  "images",
+  "isActive",
+];
+const VARIANT_COLUMNS = ["sku", "parentSku", "parentId", "variantLabel", "price", "discount", "stock", "isActive"];
+
+// Free-text columns, which could hold something a spreadsheet app runs as a formula
+const TEXT_COLUMNS = ["name", "variantLabel", "description", "quantity"];
+
+// Separates the URLs in the images column
+const IMAGE_SEPARATOR = "|";
+
+const MAX_IMPORT_ROWS = parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS) || 5000;
+
+// Exported CSV text starting with one of these gets an apostrophe in front, so
+// it is not run as a formula when opened; the import takes it off again
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+
+// Error with an HTTP status the error handler passes on to the client
+const spreadsheetError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Cell text without surrounding spaces or the apostrophe added on export
+const cleanCell = (value) => {
+  const text = String(value ?? "").trim();
+  return text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+};
+
+// Raw numbers and booleans, as cell.text would apply the cell's number format
+const xlsxCellText = (cell) => {
+  if (typeof cell.value === "number" || typeof cell.value === "boolean") {
+    return String(cell.value);
+  }
+  return cell.text;
+};
+
+// The non-empty cells of each row of an uploaded CSV or XLSX file, keyed by
+// column and numbered like in the spreadsheet (the header is row 1)
+const readSpreadsheet = async (file) => {
+  let table;
+
+  if (path.extname(file.originalname).toLowerCase() === ".csv") {
+    try {
+      table = parse(file.buffer, { bom: true, relax_column_count: true });
+    } catch (error) {
+      throw spreadsheetError(`The CSV file could not be read: ${error.message}`);
+    }
+  } else {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(file.buffer);
+    } catch (error) {
+      throw spreadsheetError("The XLSX file could not be read");
+    }
+
+    // Only the first sheet is imported
+    table = [];
+    workbook.worksheets[0]?.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+      const cells = [];
+      row.eachCell({ includeEmpty: true }, (cell, column) => {
+        cells[column - 1] = xlsxCellText(cell);
+      });
+      table[rowNumber - 1] = cells;
+    });
+  }
+
+  const [header = [], ...lines] = table;
+  const columns = Array.from(header, (name) =>
+    COLUMNS.find((column) => column.toLowerCase() === cleanCell(name).toLowerCase())
+  );
+
+  const unknown = Array.from(header, cleanCell).filter((name, index) => name && !columns[index]);
+  if (unknown.length > 0) {
+    throw spreadsheetError(`Unknown column(s): ${unknown.join(", ")}. Columns are: ${COLUMNS.join(", ")}`);
+  }
+  if (!columns.includes("sku")) {
+    throw spreadsheetError("The first row must name the columns, including sku");
+  }
+
+  const rows = [];
+  lines.forEach((cells = [], index) => {
+    const values = {};
+    columns.forEach((column, position) => {
+      const text = cleanCell(cells[position]);
+      if (column && text !== "") {
+        values[column] = text;
+      }
+    });
+
+    if (Object.keys(values).length > 0) {
+      rows.push({ rowNumber: index + 2, values });
+    }
+  });
+
+  return rows;
+};
+
+// Request body fields of a product row, as the API would receive them
+const productFields = (values) => {
+  const fields = {};
+  ["sku", "name", "description", "price", "discount", "stock", "quantity"].forEach((key) => {
+    if (values[key] !== undefined) {
+      fields[key] = values[key];
+    }
+  });
+  if (values.images !== undefined) {
+    fields.images = values.images.split(IMAGE_SEPARATOR).map((url) => url.trim()).filter(Boolean);
+  }
+  if (values.isActive !== undefined) {
+    fields.isActive = values.isActive.toLowerCase();
+  }
+  return fields;
+};
+
+// Request body fields of a variant row
+const variantFields = (values) => {
+  const fields = { sku: values.sku };
+  if (values.variantLabel !== undefined) fields.label = values.variantLabel;
+  if (values.price !== undefined) fields.price = values.price;
+  if (values.discount !== undefined) fields.discount = values.discount;
+  if (values.stock !== undefined) fields.stock = values.stock;
+  if (values.isActive !== undefined) fields.isActive = values.isActive.toLowerCase();
+  return fields;
+};
+
+// Validated fields converted to what the model stores
+const toModelValues = (fields) => {
+  const values = { ...fields };
+  delete values.variants;
+  if (values.price !== undefined) values.price = Number(values.price);
+  if (values.discount !== undefined) values.discount = Number(values.discount);
+  if (values.stock !== undefined) values.stock = parseInt(values.stock);
+  if (values.isActive !== undefined) values.isActive = ["true", "1"].includes(String(values.isActive));
+  return values;
+};
+
+// Check the rows and work out what importing them would do, without saving
+// anything. New products are checked with the rules of POST /api/products and
+// changes to existing ones with those of PUT /api/products/:id. Empty cells
+// keep the current value. Returns the resulting products (unsaved) and the
+// errors per row.
+const planImport = async (rows) => {
+  if (rows.length === 0) {
+    throw spreadsheetError("The file has no product rows");
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw spreadsheetError(`A file can have at most ${MAX_IMPORT_ROWS} product rows`);
+  }
+
+  const errors = new Map();
+  const addError = (row, field, message) => {
+    if (!errors.has(row.rowNumber)) {
+      errors.set(row.rowNumber, { row: row.rowNumber, sku: row.values.sku || null, errors: [] });
+    }
+    errors.get(row.rowNumber).errors.push({ field, message });
+  };
+
+  const rowBySku = new Map();
+  rows.forEach((row) => {
+    const { values } = row;
+    if (values.sku) values.sku = values.sku.toUpperCase();
+    if (values.parentSku) values.parentSku = values.parentSku.toUpperCase();
+
+    if (values.sku && rowBySku.has(values.sku)) {
+      addError(row, "sku", `SKU is also used in row ${rowBySku.get(values.sku).rowNumber}`);
+    } else if (values.sku) {
+      rowBySku.set(values.sku, row);
+    }
+  });
+
+  const isVariantRow = (row) => row.values.parentSku || row.values.parentId;
+  const productRows = rows.filter((row) => !isVariantRow(row));
+  const variantRows = rows.filter(isVariantRow);
+
+  productRows.forEach((row) => {
+    const { id, sku, variantLabel } = row.values;
+    if (!sku && !id) {
+      addError(row, "sku", "SKU is required");
+    }
+    if (id && !OBJECT_ID.test(id)) {
+      addError(row, "id", "Invalid product ID");
+    }
+    if (variantLabel) {
+      addError(row, "parentSku", "Variant rows need the SKU of their product in parentSku or its ID in parentId");
+    }
+  });
+
+  variantRows.forEach((row) => {
+    if (!row.values.sku) {
+      addError(row, "sku", "Variant SKU is required");
+    }
+    if (row.values.parentId && !OBJECT_ID.test(row.values.parentId)) {
+      addError(row, "parentId", "Invalid product ID");
+    }
+    Object.keys(row.values)
+      .filter((column) => !VARIANT_COLUMNS.includes(column))
+      .forEach((column) => addError(row, column, "Leave product columns empty on variant rows"));
+  });
+
+  // Everything the rows may refer to, in one query
+  const ids = [
+    ...productRows.map((row) => row.values.id),
+    ...variantRows.map((row) => row.values.parentId),
+  ].filter((id) => id && OBJECT_ID.test(id));
+  const skus = [...rowBySku.keys(), ...variantRows.map((row) => row.values.parentSku).filter(Boolean)];
+  const existing = await Product.find({
+    $or: [{ _id: { $in: ids } }, { sku: { $in: skus } }, { "variants.sku": { $in: skus } }],
+  });
+
+  const productById = new Map(existing.map((product) => [product.id, product]));
+  const productBySku = new Map(existing.filter((product) => product.sku).map((product) => [product.sku, product]));
+  const productByVariantSku = new Map(
+    existing.flatMap((product) => product.variants.map((variant) => [variant.sku, product]))
+  );
+
+  // Group each product row with its variant rows
+  const groups = [];
+  const groupBySku = new Map();
+  const groupByProduct = new Map();
+
+  for (const row of productRows) {
+    if (errors.has(row.rowNumber)) {
+      continue;
+    }
+
+    const { id, sku } = row.values;
+    const product = id ? productById.get(id) : productBySku.get(sku) || null;
+
+    if (id && !product) {
+      addError(row, "id", "Product not found");
+      continue;
+    }
+    if (sku && product && productBySku.has(sku) && productBySku.get(sku).id !== product.id) {
+      addError(row, "sku", "SKU belongs to another product");
+      continue;
+    }
+    if (product && groupByProduct.has(product.id)) {
+      addError(row, "id", `Product is also in row ${groupByProduct.get(product.id).row.rowNumber}`);
+      continue;
+    }
+
+    const group = { product, row, variantRows: [] };
+    groups.push(group);
+    if (product) groupByProduct.set(product.id, group);
+    if (sku || product?.sku) groupBySku.set(sku || product.sku, group);
+  }
+
+  for (const row of variantRows) {
+    if (errors.has(row.rowNumber)) {
+      continue;
+    }
+
+    // The parent's ID, which products without a SKU are exported with, comes first
+    const { sku, parentSku, parentId } = row.values;
+    const parentField = parentId ? "parentId" : "parentSku";
+    let group = parentId ? groupByProduct.get(parentId) : groupBySku.get(parentSku);
+
+    if (!group) {
+      const parentRow = parentId
+        ? productRows.find((productRow) => productRow.values.id === parentId)
+        : rowBySku.get(parentSku);
+      if (parentRow && !isVariantRow(parentRow) && errors.has(parentRow.rowNumber)) {
+        addError(row, parentField, `The product in row ${parentRow.rowNumber} has errors`);
+        continue;
+      }
+
+      const product = parentId ? productById.get(parentId) : productBySku.get(parentSku);
+      if (!product) {
+        addError(row, parentField, parentId ? "Product not found" : "No product with this SKU");
+        continue;
+      }
+
+      group = groupByProduct.get(product.id);
+      if (!group) {
+        group = { product, row: null, variantRows: [] };
+        groups.push(group);
+        groupByProduct.set(product.id, group);
+      }
+    }
+
+    if (parentId && parentSku && parentSku !== (group.row?.values.sku || group.product?.sku)) {
+      addError(row, "parentSku", "parentSku and parentId refer to different products");
+      continue;
+    }
+
+    const owner = productByVariantSku.get(sku);
+    if (owner && (!group.product || owner.id !== group.product.id)) {
+      addError(row, "sku", "SKU belongs to a variant of another product");
+      continue;
+    }
+
+    group.variantRows.push(row);
+  }
+
+  const categories = new Map();
+  for (const value of new Set(productRows.map((row) => row.values.category).filter(Boolean))) {
+    categories.set(value, await Category.findByIdOrSlug(value));
+  }
+
+  const products = [];
+
+  for (const { product, row, variantRows: groupVariantRows } of groups) {
+    const groupRows = [row, ...groupVariantRows].filter(Boolean);
+    const mainRow = groupRows[0];
+
+    const body = row ? productFields(row.values) : {};
+    const category = row && row.values.category ? categories.get(row.values.category) : undefined;
+    if (category) {
+      body.category = category.id;
+    } else if (category === null) {
+      addError(row, "category", "Category not found");
+    }
+
+    // Existing variants are checked with their current values filled in
+    if (groupVariantRows.length > 0) {
+      body.variants = groupVariantRows.map((variantRow) => {
+        const current = product?.variants.find((variant) => variant.sku === variantRow.values.sku);
+        const currentValues = current
+          ? {
+              label: current.label,
+              price: current.price,
+              discount: current.discount,
+              stock: current.stock,
+              isActive: current.isActive,
+            }
+          : {};
+        return { ...currentValues, ...variantFields(variantRow.values) };
+      });
+    }
+
+    const req = { body };
+    const rules = product ? updateProductValidator : importProductRowValidator;
+    await Promise.all(rules.map((rule) => rule.run(req)));
+
+    validationResult(req)
+      .array()
+      .forEach((error) => {
+        const variantError = /^variants\[(\d+)\]\.?(.*)$/.exec(error.path);
+        if (variantError) {
+          const field = variantError[2] === "label" ? "variantLabel" : variantError[2] || "sku";
+          addError(groupVariantRows[variantError[1]], field, error.msg);
+        } else if (!(error.path === "category" && category === null)) {
+          addError(row || mainRow, error.path.replace(/\[\d+\]$/, ""), error.msg);
+        }
+      });
+
+    if (groupRows.some((groupRow) => errors.has(groupRow.rowNumber))) {
+      continue;
+    }
+
+    const before = product ? product.toObject() : null;
+    const result = product || new Product();
+
+    result.set(toModelValues(body));
+    for (const variant of body.variants || []) {
+      const current = result.variants.find((existingVariant) => existingVariant.sku === variant.sku);
+      if (current) {
+        current.set(toModelValues(variant));
+      } else {
+        result.variants.push(toModelValues(variant));
+      }
+    }
+
+    try {
+      await result.validate();
+    } catch (error) {
+      if (error.name !== "ValidationError") {
+        throw error;
+      }
+      Object.values(error.errors).forEach((fieldError) => addError(mainRow, fieldError.path, fieldError.message));
+      continue;
+    }
+
+    // New products get their slug when saved, so that two of the same name in
+    // one file are numbered instead of clashing
+    if (!product) {
+      result.slug = undefined;
+    }
+
+    products.push({
+      rows: groupRows.map((groupRow) => groupRow.rowNumber),
+      action: !product ? "create" : result.isModified() ? "update" : "unchanged",
+      product: result,
+      before,
+    });
+  }
+
+  return {
+    products,
+    errors: [...errors.values()].sort((a, b) => a.row - b.row),
+  };
+};
+
+// One row per product, followed by a row per variant
+const catalogueRows = (products) =>
+  products.flatMap((product) => [
+    {
+      id: product.id,
+      sku: product.sku || "",
+      parentSku: "",
+      parentId: "",
+      name: product.name,
+      variantLabel: "",
+      description: product.description,
+      category: product.category?.slug || "",
+      price: product.price,
+      discount: product.discount,
+      stock: product.stock,
+      quantity: product.quantity,
+      images: product.images.join(IMAGE_SEPARATOR),
+      isActive: product.isActive,
+    },
+    ...product.variants.map((variant) => ({
+      id: "",
+      sku: variant.sku,
+      parentSku: product.sku || "",
+      parentId: product.id,
+      name: "",
+      variantLabel: variant.label,
+      description: "",
+      category: "",
+      price: variant.price,
+      discount: variant.discount,
+      stock: variant.stock,
+      quantity: "",
+      images: "",
+      isActive: variant.isActive,
+    })),
+  ]);
+
+// The whole catalogue, including inactive products, as a file in the import format
+const exportCatalogue = async (format) => {
+  const products = await Product.find().populate("category", "slug").sort({ name: 1, _id: 1 });
+  const rows = catalogueRows(products);
+
+  if (format === "xlsx") {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet("Products", { views: [{ state: "frozen", ySplit: 1 }] });
+    sheet.columns = COLUMNS.map((column) => ({
+      header: column,
+      key: column,
+      width: ["description", "images"].includes(column) ? 50 : 16,
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.addRows(rows);
+
+    return {
+      data: Buffer.from(await workbook.xlsx.writeBuffer()),
+      contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    };
+  }
+
+  const csvRows = rows.map((row) => {
+    const values = { ...row, isActive: String(row.isActive) };
+    TEXT_COLUMNS.forEach((column) => {
+      if (FORMULA_START.test(values[column])) {
+        values[column] = `'${values[column]}`;
+      }
+    });
+    return values;
+  });
+
+  return {
+    data: stringify(csvRows, { header: true, columns: COLUMNS, bom: true }),
+    contentType: "text/csv; charset=utf-8",
+  };
+};
+
+module.exports = {
+  readSpreadsheet,
+  planImport,
+  exportCatalogue,
+};
@@ -0,0 +1,36 @@
+// Automatic checks that hold a review for moderation instead of publishing it
+const { escapeRegex } = require("./productSearch");
+
+// Words that hold a review, from REVIEW_BLOCKED_WORDS (comma-separated)
+const blockedWords = () => {
+  return (process.env.REVIEW_BLOCKED_WORDS || "")
+    .split(",")
+    .map((word) => word.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+// URLs, "www." hosts and bare domains such as "cheap-jaggery.shop"
+const LINK_PATTERN = /(https?:\/\/|www\.|\b[a-z0-9-]+\.(com|net|org|in|co|io|info|biz|shop|store|xyz|online|site|ly|me)\b)/i;
+
+// Reason to hold a review, or null if it can be published right away
+const holdReason = ({ title = "", comment = "" }) => {
+  const text = `${title}\n${comment}`;
+
+  if (LINK_PATTERN.test(text)) {
+    return "Contains a link";
+  }
+
+  const words = blockedWords();
+  if (words.length > 0) {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${words.map(escapeRegex).join("|")})(?![\\p{L}\\p{N}])`, "iu");
+    if (pattern.test(text)) {
+      return "Contains a blocked word";
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  holdReason,
+};
@@ -0,0 +1,13 @@
+// URL-friendly slug: lower-case ASCII letters and digits joined by single dashes.
+// Accents are dropped ("Café" -> "cafe"); text without any ASCII letters gives "".
+const slugify = (text) => {
+  return text
+    .toString()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+};
+
+module.exports = slugify;
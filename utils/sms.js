@@ -0,0 +1,50 @@
+// SMS providers. Select one with SMS_PROVIDER (log | webhook).
+// log is a local stand-in that prints messages to the server log.
+const providers = {
+  // Print the message to the server log
+  log: async ({ to, text }) => {
+    console.log(`[sms] To: ${to}\n${text}`);
+  },
+
+  // POST the message as JSON to SMS_WEBHOOK_URL (e.g. a gateway adapter)
+  webhook: async ({ to, text }) => {
+    const response = await fetch(process.env.SMS_WEBHOOK_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(process.env.SMS_WEBHOOK_TOKEN && {
+          Authorization: `Bearer ${process.env.SMS_WEBHOOK_TOKEN}`,
+        }),
+      },
+      body: JSON.stringify({ to, text }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`SMS webhook responded with status ${response.status}`);
+    }
+  },
+};
+
+// Send a text message through the configured provider
+const sendSms = async ({ to, text }) => {
+  // The log provider would print login codes to the log
+  if (!process.env.SMS_PROVIDER && process.env.NODE_ENV === "production") {
+    throw new Error("SMS_PROVIDER must be set in production");
+  }
+
+  const name = process.env.SMS_PROVIDER || "log";
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+
+  await provider({
+    to: `${process.env.SMS_COUNTRY_CODE || "+91"}${to}`,
+    text,
+  });
+};
+
+module.exports = {
+  sendSms,
+};
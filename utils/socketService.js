@@ -21,6 +21,9 @@ const initializeSocket = (server) => {
   io.on("connection", (socket) => {
     console.log(`User connected: ${socket.user.name} (${socket.user.role})`);
 
+    // Room per login session so revoking the session can disconnect it
+    socket.join(`session:${socket.sessionId}`);
+
     // If user is admin, join admin room
     if (isAdmin(socket)) {
       socket.join("admin");
@@ -65,6 +68,15 @@ const emitOrderStatusUpdate = (order) => {
   }
 };
 
+// Disconnect all sockets opened with the given sessions
+const disconnectSessions = (sessionIds) => {
+  if (io) {
+    sessionIds.forEach((sessionId) => {
+      io.in(`session:${sessionId}`).disconnectSockets(true);
+    });
+  }
+};
+
 // Get socket instance
 const getIO = () => {
   return io;
@@ -74,5 +86,6 @@ module.exports = {
   initializeSocket,
   emitNewOrder,
   emitOrderStatusUpdate,
+  disconnectSessions,
   getIO,
 };
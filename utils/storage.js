@@ -0,0 +1,142 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// File storage drivers. Select one with STORAGE_DRIVER (local | s3); the
+// default is local, except on Vercel (VERCEL is set), whose disk is read-only.
+// Every driver stores a file under a key such as "catalog/ab12cd.jpg",
+// deletes it again and tells the public URL it is served from.
+
+const localDir = () => path.resolve(process.env.UPLOAD_DIR || "uploads");
+
+const localBaseUrl = () => {
+  return process.env.UPLOAD_BASE_URL || `http://localhost:${process.env.PORT || 3000}/uploads`;
+};
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+
+// Sign and send a request to an S3-compatible API (AWS Signature Version 4)
+const s3Request = async (method, key, body = "", contentType = null) => {
+  const region = process.env.S3_REGION || "us-east-1";
+  const bucket = process.env.S3_BUCKET;
+  const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error("S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY");
+  }
+
+  // Custom endpoints (MinIO, R2, Spaces, ...) use path-style URLs
+  const objectPath = `/${key.split("/").map(encodeURIComponent).join("/")}`;
+  const url = process.env.S3_ENDPOINT
+    ? new URL(`${process.env.S3_ENDPOINT.replace(/\/+$/, "")}/${bucket}${objectPath}`)
+    : new URL(`https://${bucket}.s3.${region}.amazonaws.com${objectPath}`);
+
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256(body);
+
+  const headers = {
+    host: url.host,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+  };
+  if (contentType) {
+    headers["content-type"] = contentType;
+  }
+
+  const headerNames = Object.keys(headers).sort();
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    "",
+    ...headerNames.map((name) => `${name}:${headers[name]}`),
+    "",
+    headerNames.join(";"),
+    payloadHash,
+  ].join("\n");
+
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+  const signingKey = ["s3", "aws4_request"].reduce(
+    (signingKey, part) => hmac(signingKey, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+  );
+  const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+  const { host, ...requestHeaders } = headers;
+  const response = await fetch(url, {
+    method,
+    headers: {
+      ...requestHeaders,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(";")}, Signature=${signature}`,
+    },
+    body: method === "PUT" ? body : undefined,
+  });
+
+  // Deleting a missing object is not an error
+  if (!response.ok && !(method === "DELETE" && response.status === 404)) {
+    const text = await response.text().catch(() => "");
+    throw new Error(`S3 ${method} ${key} failed with status ${response.status}: ${text.slice(0, 200)}`);
+  }
+
+  return url;
+};
+
+const drivers = {
+  // Files on the local disk, served by the app under /uploads
+  local: {
+    put: async (key, data) => {
+      const file = path.join(localDir(), key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, data);
+    },
+    remove: async (key) => {
+      await fs.promises.rm(path.join(localDir(), key), { force: true });
+    },
+    url: (key) => `${localBaseUrl()}/${key}`,
+  },
+
+  // An S3 bucket or any S3-compatible object storage
+  s3: {
+    put: async (key, data, contentType) => {
+      await s3Request("PUT", key, data, contentType);
+    },
+    remove: async (key) => {
+      await s3Request("DELETE", key);
+    },
+    url: (key) => {
+      if (process.env.S3_PUBLIC_URL) {
+        return `${process.env.S3_PUBLIC_URL.replace(/\/+$/, "")}/${key}`;
+      }
+      if (process.env.S3_ENDPOINT) {
+        return `${process.env.S3_ENDPOINT.replace(/\/+$/, "")}/${process.env.S3_BUCKET}/${key}`;
+      }
+      return `https://${process.env.S3_BUCKET}.s3.${process.env.S3_REGION || "us-east-1"}.amazonaws.com/${key}`;
+    },
+  },
+};
+
+// Name of the configured storage driver
+const storageDriverName = () => process.env.STORAGE_DRIVER || (process.env.VERCEL ? "s3" : "local");
+
+// A storage driver by name, the configured one by default
+const getStorage = (name = storageDriverName()) => {
+  const driver = drivers[name];
+
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  if (name === "local" && process.env.VERCEL) {
+    throw new Error("Local storage does not work on Vercel, whose disk is read-only: set STORAGE_DRIVER=s3");
+  }
+
+  return { name, ...driver };
+};
+
+module.exports = {
+  getStorage,
+  storageDriverName,
+  localDir,
+};
@@ -0,0 +1,230 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const generateToken = require("./generateToken");
+const { describeDevice } = require("./userAgent");
+const { hasPermission } = require("./permissions");
+const { disconnectSessions } = require("./socketService");
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+// Write lastSeenAt at most this often to avoid a database write per request
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+const IMPERSONATION_EXPIRE_MINUTES = parseInt(process.env.IMPERSONATION_EXPIRE_MINUTES) || 15;
+
+// Hash an opaque token before it is stored or looked up
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Generate a random opaque token
+const randomToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString("hex");
+};
+
+const refreshTokenExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Start a new session for the user and issue its access/refresh token pair
+const createSession = async (user, req) => {
+  const refreshToken = randomToken();
+
+  const userAgent = req.headers["user-agent"] || "";
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent,
+    deviceName: describeDevice(userAgent),
+    ip: req.ip || "",
+    lastSeenAt: new Date(),
+    expiresAt: refreshTokenExpiry(),
+  });
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken,
+    session,
+  };
+};
+
+// Exchange a refresh token for a new token pair.
+// Returns null if the token is unknown, expired or revoked, or the user is blocked.
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    // A token that was already rotated out is being replayed, so it has leaked:
+    // revoke the session it belonged to
+    const replayed = await Session.findOne({ previousRefreshTokenHash: tokenHash });
+    if (replayed && !replayed.revokedAt) {
+      await revokeSession(replayed._id);
+    }
+    return null;
+  }
+
+  if (!session.isActive) {
+    return null;
+  }
+
+  const user = await User.findById(session.user).select("deletedAt blockedAt");
+  if (!user || user.deletedAt || user.blockedAt) {
+    return null;
+  }
+
+  // Swap the token only while it is still the current one, so of two refreshes
+  // with the same token only one wins; the other is treated as a replay
+  const newRefreshToken = randomToken();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      previousRefreshTokenHash: tokenHash,
+      refreshTokenHash: hashToken(newRefreshToken),
+      expiresAt: refreshTokenExpiry(),
+      lastSeenAt: new Date(),
+      ip: req.ip || session.ip,
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await revokeSession(session._id);
+    return null;
+  }
+
+  return {
+    token: generateToken(rotated.user, rotated._id),
+    refreshToken: newRefreshToken,
+    session: rotated,
+  };
+};
+
+// Find the session a refresh token belongs to
+const findSessionByRefreshToken = async (refreshToken) => {
+  return await Session.findOne({ refreshTokenHash: hashToken(refreshToken) });
+};
+
+// Revoke a single session and drop its socket connections
+const revokeSession = async (sessionId) => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  disconnectSessions([sessionId]);
+};
+
+// Revoke every session of a user, optionally keeping one (e.g. the current one)
+const revokeAllSessions = async (userId, exceptSessionId = null) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const sessionIds = await Session.find(query).distinct("_id");
+  await Session.updateMany({ _id: { $in: sessionIds } }, { revokedAt: new Date() });
+  disconnectSessions(sessionIds);
+};
+
+// Verify an access token and check its session has not been revoked.
+// Returns { user, session, impersonator } or null if the token must be rejected.
+// impersonator is only set for impersonation tokens; user is then the impersonated user.
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  // Tokens issued before sessions existed cannot be revoked, so refuse them
+  if (!decoded.sid) {
+    return null;
+  }
+
+  const isImpersonation = decoded.purpose === "impersonation";
+  if (decoded.purpose && !isImpersonation) {
+    return null;
+  }
+
+  // Impersonation tokens live on the session of the staff member who minted them
+  const sessionOwner = isImpersonation ? decoded.imp : decoded.id;
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive || session.user.toString() !== sessionOwner) {
+    return null;
+  }
+
+  let impersonator = null;
+  if (isImpersonation) {
+    impersonator = await User.findById(decoded.imp).select("-password");
+    if (
+      !impersonator ||
+      impersonator.deletedAt ||
+      impersonator.blockedAt ||
+      impersonator.changedPasswordAfter(decoded.iat) ||
+      !(await hasPermission(impersonator, "users:impersonate"))
+    ) {
+      return null;
+    }
+  }
+
+  const user = await User.findById(decoded.id).select("-password");
+  if (!user || user.deletedAt || user.blockedAt || user.changedPasswordAfter(decoded.iat)) {
+    return null;
+  }
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+    await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() });
+  }
+
+  return { user, session, impersonator };
+};
+
+// Short-lived, read-only token to see the shop as another user. It is tied to the
+// staff member's own session, so logging out ends the impersonation too.
+const generateImpersonationToken = (userId, impersonatorId, sessionId) => {
+  const token = jwt.sign(
+    { id: userId, sid: sessionId, imp: impersonatorId, purpose: "impersonation" },
+    process.env.JWT_SECRET,
+    { expiresIn: `${IMPERSONATION_EXPIRE_MINUTES}m` }
+  );
+
+  return {
+    token,
+    expiresAt: new Date(Date.now() + IMPERSONATION_EXPIRE_MINUTES * 60 * 1000),
+  };
+};
+
+// Short-lived token proving the password step of a login that still needs a second factor
+const generateTwoFactorToken = (userId) => {
+  return jwt.sign({ id: userId, purpose: "2fa" }, process.env.JWT_SECRET, {
+    expiresIn: "5m",
+  });
+};
+
+// Returns the user id of a valid two-factor token, or null
+const verifyTwoFactorToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === "2fa" ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  hashToken,
+  randomToken,
+  createSession,
+  rotateSession,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  verifyAccessToken,
+  generateImpersonationToken,
+  generateTwoFactorToken,
+  verifyTwoFactorToken,
+};
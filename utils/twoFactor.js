@@ -0,0 +1,92 @@
+const crypto = require("crypto");
+const { authenticator } = require("otplib");
+const QRCode = require("qrcode");
+const User = require("../models/User");
+const { hashToken } = require("./tokenService");
+
+// Accept the previous and next 30s step to allow for clock drift
+authenticator.options = { window: 1 };
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Kuppams Organic";
+const RECOVERY_CODE_COUNT = 10;
+
+// Create a new TOTP secret with its otpauth:// URI and a QR code for authenticator apps
+const generateTotpSecret = async (email) => {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(email, TOTP_ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauthUrl, qrCode };
+};
+
+// Check a TOTP code against a secret without replay protection (used during enrollment)
+const checkTotp = (code, secret) => {
+  return authenticator.check(String(code), secret);
+};
+
+// Check a TOTP code for a user with 2FA enabled. A code can only be used once:
+// the accepted step is recorded with a conditional update, so parallel requests
+// with the same code cannot both pass.
+const verifyTotp = async (user, code) => {
+  const delta = authenticator.checkDelta(String(code), user.twoFactor.secret);
+  if (delta === null) {
+    return false;
+  }
+
+  const step = Math.floor(Date.now() / 1000 / 30) + delta;
+  const { modifiedCount } = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ "twoFactor.lastUsedStep": { $lt: step } }, { "twoFactor.lastUsedStep": null }],
+    },
+    { "twoFactor.lastUsedStep": step }
+  );
+
+  return modifiedCount > 0;
+};
+
+const normalizeRecoveryCode = (code) => {
+  return String(code).replace(/[\s-]/g, "").toLowerCase();
+};
+
+// Generate a fresh set of recovery codes. Only the hashes are stored.
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString("hex");
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return {
+    codes,
+    hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))),
+  };
+};
+
+// Use up one of the user's recovery codes. It is removed with a conditional
+// update, so parallel requests with the same code cannot both pass; the user's
+// loaded codes are updated to match but must not be saved over the database.
+const useRecoveryCode = async (user, code) => {
+  const hash = hashToken(normalizeRecoveryCode(code));
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, "twoFactor.recoveryCodes": hash },
+    { $pull: { "twoFactor.recoveryCodes": hash } }
+  );
+  if (modifiedCount === 0) {
+    return false;
+  }
+
+  const index = user.twoFactor.recoveryCodes.indexOf(hash);
+  if (index !== -1) {
+    user.twoFactor.recoveryCodes.splice(index, 1);
+  }
+  return true;
+};
+
+module.exports = {
+  generateTotpSecret,
+  checkTotp,
+  verifyTotp,
+  generateRecoveryCodes,
+  useRecoveryCode,
+};
@@ -0,0 +1,42 @@
+// Rough, human readable device description from a User-Agent header,
+// e.g. "Chrome on Android". Only meant for showing sessions to users.
+const BROWSERS = [
+  ["Edge", /Edg\//],
+  ["Opera", /OPR\//],
+  ["Samsung Internet", /SamsungBrowser\//],
+  ["Chrome", /Chrome\//],
+  ["Firefox", /Firefox\//],
+  ["Safari", /Safari\//],
+];
+
+const SYSTEMS = [
+  ["Android", /Android/],
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["Linux", /Linux/],
+];
+
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return "Unknown device";
+  }
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) {
+    // API clients such as curl or mobile HTTP libraries
+    return userAgent.split(" ")[0].slice(0, 50);
+  }
+
+  if (browser && system) {
+    return `${browser[0]} on ${system[0]}`;
+  }
+
+  return (browser || system)[0];
+};
+
+module.exports = {
+  describeDevice,
+};